@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "costTotal" INTEGER,
+ADD COLUMN     "unitCost" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."StockBatch" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "movementId" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "unitCost" INTEGER NOT NULL,
+    "qtyIn" INTEGER NOT NULL,
+    "qtyRemaining" INTEGER NOT NULL,
+
+    CONSTRAINT "StockBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SaleItemBatch" (
+    "id" TEXT NOT NULL,
+    "saleItemId" TEXT NOT NULL,
+    "batchId" TEXT NOT NULL,
+    "qty" INTEGER NOT NULL,
+    "unitCost" INTEGER NOT NULL,
+    "returnedQty" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "SaleItemBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockBatch_movementId_key" ON "public"."StockBatch"("movementId");
+
+-- CreateIndex
+CREATE INDEX "StockBatch_productId_receivedAt_idx" ON "public"."StockBatch"("productId", "receivedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."StockBatch" ADD CONSTRAINT "StockBatch_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockBatch" ADD CONSTRAINT "StockBatch_movementId_fkey" FOREIGN KEY ("movementId") REFERENCES "public"."StockMovement"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleItemBatch" ADD CONSTRAINT "SaleItemBatch_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "public"."SaleItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleItemBatch" ADD CONSTRAINT "SaleItemBatch_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "public"."StockBatch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Saldo awal: stok yang sudah ada dijadikan 1 batch per produk dengan costPrice saat ini
+INSERT INTO "public"."StockBatch" ("id", "productId", "receivedAt", "unitCost", "qtyIn", "qtyRemaining")
+SELECT gen_random_uuid()::text, "id", CURRENT_TIMESTAMP, "costPrice", "stockQty", "stockQty"
+FROM "public"."Product"
+WHERE "stockQty" > 0;
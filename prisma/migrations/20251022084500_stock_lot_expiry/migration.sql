@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "public"."StockBatch" ADD COLUMN     "expiryDate" TIMESTAMP(3),
+ADD COLUMN     "lotNo" TEXT;
+
+-- CreateIndex
+CREATE INDEX "StockBatch_productId_expiryDate_idx" ON "public"."StockBatch"("productId", "expiryDate");
+
+-- CreateIndex
+CREATE INDEX "StockBatch_lotNo_idx" ON "public"."StockBatch"("lotNo");
+
+-- Saldo awal ikut tanggal kadaluarsa produk
+UPDATE "public"."StockBatch" b
+SET "expiryDate" = p."expiryDate"
+FROM "public"."Product" p
+WHERE b."productId" = p."id" AND b."movementId" IS NULL AND p."expiryDate" IS NOT NULL;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "public"."AlertDigest" (
+    "id" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "summary" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AlertDigest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AlertDigest_date_key" ON "public"."AlertDigest"("date");
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "public"."StockCount" (
+    "id" TEXT NOT NULL,
+    "countNo" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "note" TEXT,
+    "openedBy" TEXT,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finalizedBy" TEXT,
+    "finalizedAt" TIMESTAMP(3),
+
+    CONSTRAINT "StockCount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StockCountLine" (
+    "id" TEXT NOT NULL,
+    "countId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "systemQty" INTEGER NOT NULL,
+    "unitCost" INTEGER NOT NULL,
+    "countedQty" INTEGER,
+    "countedBy" TEXT,
+    "countedAt" TIMESTAMP(3),
+    "note" TEXT,
+
+    CONSTRAINT "StockCountLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockCount_countNo_key" ON "public"."StockCount"("countNo");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockCountLine_countId_productId_key" ON "public"."StockCountLine"("countId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "public"."StockCountLine" ADD CONSTRAINT "StockCountLine_countId_fkey" FOREIGN KEY ("countId") REFERENCES "public"."StockCount"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockCountLine" ADD CONSTRAINT "StockCountLine_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
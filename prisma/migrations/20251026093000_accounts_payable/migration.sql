@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "public"."GoodsReceipt" ADD COLUMN     "billId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."PurchaseBill" (
+    "id" TEXT NOT NULL,
+    "billNo" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "supplierInvoiceNo" TEXT,
+    "billDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "total" INTEGER NOT NULL,
+    "amountPaid" INTEGER NOT NULL DEFAULT 0,
+    "paymentStatus" TEXT NOT NULL,
+    "note" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseBill_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SupplierPayment" (
+    "id" TEXT NOT NULL,
+    "billId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "amount" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "refNo" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SupplierPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PurchaseBill_billNo_key" ON "public"."PurchaseBill"("billNo");
+
+-- CreateIndex
+CREATE INDEX "PurchaseBill_supplierId_dueDate_idx" ON "public"."PurchaseBill"("supplierId", "dueDate");
+
+-- AddForeignKey
+ALTER TABLE "public"."GoodsReceipt" ADD CONSTRAINT "GoodsReceipt_billId_fkey" FOREIGN KEY ("billId") REFERENCES "public"."PurchaseBill"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PurchaseBill" ADD CONSTRAINT "PurchaseBill_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "public"."Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SupplierPayment" ADD CONSTRAINT "SupplierPayment_billId_fkey" FOREIGN KEY ("billId") REFERENCES "public"."PurchaseBill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Customer" ADD COLUMN     "creditLimit" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Sale_customerId_date_idx" ON "public"."Sale"("customerId", "date");
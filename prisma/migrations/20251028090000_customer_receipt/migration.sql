@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "receiptId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."CustomerReceipt" (
+    "id" TEXT NOT NULL,
+    "receiptNo" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "amount" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "refNo" TEXT,
+    "note" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomerReceipt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerReceipt_receiptNo_key" ON "public"."CustomerReceipt"("receiptNo");
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_receiptId_fkey" FOREIGN KEY ("receiptId") REFERENCES "public"."CustomerReceipt"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CustomerReceipt" ADD CONSTRAINT "CustomerReceipt_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "public"."ShopProfile" (
+    "id" TEXT NOT NULL DEFAULT 'default',
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "phone" TEXT,
+    "taxId" TEXT,
+    "footer" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopProfile_pkey" PRIMARY KEY ("id")
+);
@@ -0,0 +1,65 @@
+-- DropIndex
+DROP INDEX "public"."InvoiceCounter_period_key";
+
+-- AlterTable
+ALTER TABLE "public"."InvoiceCounter" ADD COLUMN     "series" TEXT NOT NULL DEFAULT 'INV';
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "receiptNo" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."NumberSeries" (
+    "code" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "period" TEXT NOT NULL DEFAULT 'MONTH',
+    "padding" INTEGER NOT NULL DEFAULT 6,
+    "separator" TEXT NOT NULL DEFAULT '-',
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NumberSeries_pkey" PRIMARY KEY ("code")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InvoiceCounter_series_period_key" ON "public"."InvoiceCounter"("series", "period");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_receiptNo_key" ON "public"."Payment"("receiptNo");
+
+-- Lanjutkan counter per periode dari nomor yang sudah terpakai
+-- (format lama: KODE-YYYYMM-NNNNNN dari sequence global)
+INSERT INTO "public"."InvoiceCounter" ("id", "series", "period", "lastNumber", "updatedAt")
+SELECT gen_random_uuid()::text, d.series, d.period, MAX(d.num), CURRENT_TIMESTAMP
+FROM (
+    SELECT 'INV' AS series, split_part("invoiceNo", '-', 2) AS period, CAST(split_part("invoiceNo", '-', 3) AS INTEGER) AS num
+    FROM "public"."Sale" WHERE "invoiceNo" ~ '^INV-[0-9]{6}-[0-9]+$'
+    UNION ALL
+    SELECT 'RET', split_part("returnNo", '-', 2), CAST(split_part("returnNo", '-', 3) AS INTEGER)
+    FROM "public"."SaleReturn" WHERE "returnNo" ~ '^RET-[0-9]{6}-[0-9]+$'
+    UNION ALL
+    SELECT 'RCP', split_part("receiptNo", '-', 2), CAST(split_part("receiptNo", '-', 3) AS INTEGER)
+    FROM "public"."CustomerReceipt" WHERE "receiptNo" ~ '^RCP-[0-9]{6}-[0-9]+$'
+    UNION ALL
+    SELECT 'GRN', split_part("receiptNo", '-', 2), CAST(split_part("receiptNo", '-', 3) AS INTEGER)
+    FROM "public"."GoodsReceipt" WHERE "receiptNo" ~ '^GRN-[0-9]{6}-[0-9]+$'
+    UNION ALL
+    SELECT 'PO', split_part("poNo", '-', 2), CAST(split_part("poNo", '-', 3) AS INTEGER)
+    FROM "public"."PurchaseOrder" WHERE "poNo" ~ '^PO-[0-9]{6}-[0-9]+$'
+    UNION ALL
+    SELECT 'BILL', split_part("billNo", '-', 2), CAST(split_part("billNo", '-', 3) AS INTEGER)
+    FROM "public"."PurchaseBill" WHERE "billNo" ~ '^BILL-[0-9]{6}-[0-9]+$'
+    UNION ALL
+    SELECT 'SO', split_part("countNo", '-', 2), CAST(split_part("countNo", '-', 3) AS INTEGER)
+    FROM "public"."StockCount" WHERE "countNo" ~ '^SO-[0-9]{6}-[0-9]+$'
+) d
+GROUP BY d.series, d.period
+ON CONFLICT ("series", "period") DO UPDATE
+SET "lastNumber" = GREATEST("InvoiceCounter"."lastNumber", EXCLUDED."lastNumber");
+
+-- Sequence lama tidak dipakai lagi
+DROP SEQUENCE IF EXISTS inv_global_seq;
+DROP SEQUENCE IF EXISTS ret_global_seq;
+DROP SEQUENCE IF EXISTS rcp_global_seq;
+DROP SEQUENCE IF EXISTS grn_global_seq;
+DROP SEQUENCE IF EXISTS po_global_seq;
+DROP SEQUENCE IF EXISTS bill_global_seq;
+DROP SEQUENCE IF EXISTS so_global_seq;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "discountAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "discountType" TEXT,
+ADD COLUMN     "discountValue" DOUBLE PRECISION,
+ADD COLUMN     "grossTotal" INTEGER,
+ADD COLUMN     "lineDiscount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "subtotal" INTEGER,
+ADD COLUMN     "taxAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "discountAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "discountType" TEXT,
+ADD COLUMN     "discountValue" DOUBLE PRECISION,
+ADD COLUMN     "invoiceDiscount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "listPrice" INTEGER,
+ADD COLUMN     "taxAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: transaksi lama tanpa diskon/pajak
+UPDATE "public"."Sale" SET "grossTotal" = "grandTotal", "subtotal" = "grandTotal";
+UPDATE "public"."SaleItem" SET "listPrice" = "unitPrice";
+
+ALTER TABLE "public"."Sale" ALTER COLUMN "grossTotal" SET NOT NULL,
+ALTER COLUMN "subtotal" SET NOT NULL;
+ALTER TABLE "public"."SaleItem" ALTER COLUMN "listPrice" SET NOT NULL;
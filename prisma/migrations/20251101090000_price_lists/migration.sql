@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "public"."Customer" ADD COLUMN     "priceListId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "priceListId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."PriceList" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceList_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."PriceListItem" (
+    "id" TEXT NOT NULL,
+    "priceListId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "minQty" INTEGER NOT NULL DEFAULT 1,
+    "price" INTEGER NOT NULL,
+
+    CONSTRAINT "PriceListItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceList_code_key" ON "public"."PriceList"("code");
+
+-- CreateIndex
+CREATE INDEX "PriceListItem_productId_idx" ON "public"."PriceListItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceListItem_priceListId_productId_minQty_key" ON "public"."PriceListItem"("priceListId", "productId", "minQty");
+
+-- AddForeignKey
+ALTER TABLE "public"."Customer" ADD CONSTRAINT "Customer_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "public"."PriceList"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleItem" ADD CONSTRAINT "SaleItem_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "public"."PriceList"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PriceListItem" ADD CONSTRAINT "PriceListItem_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "public"."PriceList"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PriceListItem" ADD CONSTRAINT "PriceListItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
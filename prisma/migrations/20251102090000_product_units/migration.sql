@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "unit" TEXT,
+ADD COLUMN     "unitFactor" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "unitQty" INTEGER;
+
+UPDATE "public"."SaleItem" SET "unitQty" = "qty";
+ALTER TABLE "public"."SaleItem" ALTER COLUMN "unitQty" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "public"."ProductUnit" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "factor" INTEGER NOT NULL,
+    "sellPrice" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductUnit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductUnit_productId_name_key" ON "public"."ProductUnit"("productId", "name");
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductUnit" ADD CONSTRAINT "ProductUnit_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,117 @@
+-- CreateTable
+CREATE TABLE "public"."Location" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Location_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ProductStock" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "qty" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "ProductStock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StockTransfer" (
+    "id" TEXT NOT NULL,
+    "transferNo" TEXT NOT NULL,
+    "fromLocationId" TEXT NOT NULL,
+    "toLocationId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "note" TEXT,
+    "userId" TEXT,
+
+    CONSTRAINT "StockTransfer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StockTransferLine" (
+    "id" TEXT NOT NULL,
+    "transferId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "qty" INTEGER NOT NULL,
+
+    CONSTRAINT "StockTransferLine_pkey" PRIMARY KEY ("id")
+);
+
+-- Lokasi awal: semua stok & transaksi lama milik toko utama
+INSERT INTO "public"."Location" ("id", "code", "name", "isDefault")
+VALUES ('main', 'MAIN', 'Toko Utama', true);
+
+INSERT INTO "public"."ProductStock" ("id", "productId", "locationId", "qty")
+SELECT gen_random_uuid()::text, "id", 'main', "stockQty" FROM "public"."Product";
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "locationId" TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE "public"."Sale" ALTER COLUMN "locationId" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "public"."StockMovement" ADD COLUMN     "locationId" TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE "public"."StockMovement" ALTER COLUMN "locationId" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "public"."StockBatch" ADD COLUMN     "locationId" TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE "public"."StockBatch" ALTER COLUMN "locationId" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "public"."GoodsReceipt" ADD COLUMN     "locationId" TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE "public"."GoodsReceipt" ALTER COLUMN "locationId" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "public"."StockCount" ADD COLUMN     "locationId" TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE "public"."StockCount" ALTER COLUMN "locationId" DROP DEFAULT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Location_code_key" ON "public"."Location"("code");
+
+-- CreateIndex
+CREATE INDEX "ProductStock_locationId_idx" ON "public"."ProductStock"("locationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductStock_productId_locationId_key" ON "public"."ProductStock"("productId", "locationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTransfer_transferNo_key" ON "public"."StockTransfer"("transferNo");
+
+-- CreateIndex
+CREATE INDEX "StockBatch_productId_locationId_idx" ON "public"."StockBatch"("productId", "locationId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductStock" ADD CONSTRAINT "ProductStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductStock" ADD CONSTRAINT "ProductStock_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockTransfer" ADD CONSTRAINT "StockTransfer_fromLocationId_fkey" FOREIGN KEY ("fromLocationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockTransfer" ADD CONSTRAINT "StockTransfer_toLocationId_fkey" FOREIGN KEY ("toLocationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockTransferLine" ADD CONSTRAINT "StockTransferLine_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "public"."StockTransfer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Sale" ADD CONSTRAINT "Sale_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockMovement" ADD CONSTRAINT "StockMovement_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockBatch" ADD CONSTRAINT "StockBatch_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."GoodsReceipt" ADD CONSTRAINT "GoodsReceipt_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockCount" ADD CONSTRAINT "StockCount_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "shiftId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "shiftId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."SaleReturn" ADD COLUMN     "shiftId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."CashShift" (
+    "id" TEXT NOT NULL,
+    "shiftNo" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "openingFloat" INTEGER NOT NULL DEFAULT 0,
+    "closedAt" TIMESTAMP(3),
+    "closedBy" TEXT,
+    "countedCash" INTEGER,
+    "expectedCash" INTEGER,
+    "variance" INTEGER,
+    "report" JSONB,
+    "note" TEXT,
+
+    CONSTRAINT "CashShift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."CashEntry" (
+    "id" TEXT NOT NULL,
+    "shiftId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "note" TEXT NOT NULL,
+    "userId" TEXT,
+    "date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CashEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CashShift_shiftNo_key" ON "public"."CashShift"("shiftNo");
+
+-- CreateIndex
+CREATE INDEX "CashShift_userId_status_idx" ON "public"."CashShift"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."Sale" ADD CONSTRAINT "Sale_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "public"."CashShift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "public"."CashShift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleReturn" ADD CONSTRAINT "SaleReturn_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "public"."CashShift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CashShift" ADD CONSTRAINT "CashShift_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CashEntry" ADD CONSTRAINT "CashEntry_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "public"."CashShift"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN     "sku" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ProductBarcode" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "unitId" TEXT,
+    "code" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "isGenerated" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductBarcode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_sku_key" ON "public"."Product"("sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductBarcode_code_key" ON "public"."ProductBarcode"("code");
+
+-- CreateIndex
+CREATE INDEX "ProductBarcode_productId_idx" ON "public"."ProductBarcode"("productId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductBarcode" ADD CONSTRAINT "ProductBarcode_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductBarcode" ADD CONSTRAINT "ProductBarcode_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "public"."ProductUnit"("id") ON DELETE CASCADE ON UPDATE CASCADE;
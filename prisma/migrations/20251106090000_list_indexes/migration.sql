@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "Product_isActive_createdAt_idx" ON "public"."Product"("isActive", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Product_isActive_name_idx" ON "public"."Product"("isActive", "name");
+
+-- CreateIndex
+CREATE INDEX "Sale_date_idx" ON "public"."Sale"("date");
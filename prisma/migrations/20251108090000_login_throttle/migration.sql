@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."LoginAudit" ADD COLUMN     "reason" TEXT,
+ADD COLUMN     "success" BOOLEAN;
+
+-- CreateTable
+CREATE TABLE "public"."LoginThrottle" (
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "locks" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureAt" TIMESTAMP(3),
+    "lockedUntil" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginAudit_username_at_idx" ON "public"."LoginAudit"("username", "at");
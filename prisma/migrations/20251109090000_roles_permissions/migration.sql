@@ -0,0 +1,21 @@
+-- AlterTable: role jadi teks bebas (role bawaan + AppRole)
+ALTER TABLE "public"."User" ALTER COLUMN "role" DROP DEFAULT,
+ALTER COLUMN "role" SET DATA TYPE TEXT USING "role"::text,
+ALTER COLUMN "role" SET DEFAULT 'VIEWER';
+
+-- AlterTable
+ALTER TABLE "public"."LoginAudit" ALTER COLUMN "role" SET DATA TYPE TEXT USING "role"::text;
+
+-- DropEnum
+DROP TYPE "public"."Role";
+
+-- CreateTable
+CREATE TABLE "public"."AppRole" (
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AppRole_pkey" PRIMARY KEY ("name")
+);
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "public"."AuditLog" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "entity" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "fields" TEXT[],
+    "note" TEXT,
+    "userId" TEXT,
+    "username" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_entity_entityId_at_idx" ON "public"."AuditLog"("entity", "entityId", "at");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_userId_at_idx" ON "public"."AuditLog"("userId", "at");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_at_idx" ON "public"."AuditLog"("at");
+
+-- AddForeignKey
+ALTER TABLE "public"."AuditLog" ADD CONSTRAINT "AuditLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,125 @@
+// src/alerts.js
+// Alert stok menipis & kadaluarsa + digest harian.
+// Dipakai bersama oleh src/index.js (Prisma $queryRaw) dan src/worker.js
+// (neon): `sql` cukup tagged template yang mengembalikan array baris.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Tanggal lokal (WIB) untuk kunci digest: "YYYY-MM-DD"
+export const digestDate = (d = new Date(), tz = "Asia/Jakarta") =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: tz }).format(d);
+
+/**
+ * Kumpulkan alert:
+ *  - expired: stok yang sudah lewat kadaluarsa tapi masih ada
+ *  - lowStock: produk dengan stockQty <= minStock (habis paling atas)
+ *  - expiringSoon: stok yang kadaluarsa dalam `days` hari ke depan
+ * Kadaluarsa dibaca per lot (StockBatch); produk tanpa lot ber-expiry
+ * memakai Product.expiryDate.
+ */
+export async function buildAlerts(sql, { days = 30, now = new Date() } = {}) {
+  const limit = new Date(now.getTime() + days * DAY);
+
+  const low = await sql`
+    SELECT id, name, category, unit, "stockQty", "minStock"
+    FROM "Product"
+    WHERE "isActive" = true AND "stockQty" <= "minStock"
+  `;
+
+  const lots = await sql`
+    SELECT b.id AS "batchId", b."productId", p.name, p.category, p.unit,
+           b."lotNo", b."expiryDate", b."qtyRemaining" AS qty
+    FROM "StockBatch" b
+    JOIN "Product" p ON p.id = b."productId"
+    WHERE p."isActive" = true
+      AND b."qtyRemaining" > 0
+      AND b."expiryDate" IS NOT NULL
+      AND b."expiryDate" <= ${limit}
+  `;
+
+  const products = await sql`
+    SELECT p.id AS "productId", p.name, p.category, p.unit,
+           p."expiryDate", p."stockQty" AS qty
+    FROM "Product" p
+    WHERE p."isActive" = true
+      AND p."stockQty" > 0
+      AND p."expiryDate" IS NOT NULL
+      AND p."expiryDate" <= ${limit}
+      AND NOT EXISTS (
+        SELECT 1 FROM "StockBatch" b
+        WHERE b."productId" = p.id AND b."expiryDate" IS NOT NULL
+      )
+  `;
+
+  const expiryRows = [
+    ...lots.map((r) => ({ ...r, qty: Number(r.qty) })),
+    ...products.map((r) => ({
+      ...r,
+      batchId: null,
+      lotNo: null,
+      qty: Number(r.qty),
+    })),
+  ].map((r) => {
+    const expiryDate = new Date(r.expiryDate);
+    return {
+      ...r,
+      expiryDate,
+      daysLeft: Math.ceil((expiryDate.getTime() - now.getTime()) / DAY),
+    };
+  });
+  const byExpiry = (a, b) => a.expiryDate - b.expiryDate;
+
+  const expired = expiryRows.filter((r) => r.expiryDate <= now).sort(byExpiry);
+  const expiringSoon = expiryRows
+    .filter((r) => r.expiryDate > now)
+    .sort(byExpiry);
+
+  const lowStock = low
+    .map((p) => ({
+      productId: p.id,
+      name: p.name,
+      category: p.category,
+      unit: p.unit,
+      stockQty: Number(p.stockQty),
+      minStock: Number(p.minStock),
+      outOfStock: Number(p.stockQty) <= 0,
+    }))
+    .sort(
+      (a, b) =>
+        a.stockQty / (a.minStock || 1) - b.stockQty / (b.minStock || 1) ||
+        a.name.localeCompare(b.name)
+    );
+
+  return {
+    generatedAt: now,
+    windowDays: days,
+    counts: {
+      expired: expired.length,
+      outOfStock: lowStock.filter((p) => p.outOfStock).length,
+      lowStock: lowStock.length,
+      expiringSoon: expiringSoon.length,
+    },
+    // urut dari paling mendesak
+    expired,
+    lowStock,
+    expiringSoon,
+  };
+}
+
+// Bangun & simpan digest hari ini (1 baris per tanggal, ditimpa jika re-run)
+export async function runDailyDigest(
+  sql,
+  { days = 30, now = new Date() } = {}
+) {
+  const summary = await buildAlerts(sql, { days, now });
+  const date = digestDate(now);
+  const json = JSON.stringify(summary);
+  const rows = await sql`
+    INSERT INTO "AlertDigest" (id, date, summary, "createdAt")
+    VALUES (${crypto.randomUUID()}, ${date}, ${json}::jsonb, ${now})
+    ON CONFLICT (date) DO UPDATE
+      SET summary = EXCLUDED.summary, "createdAt" = EXCLUDED."createdAt"
+    RETURNING id, date, "createdAt"
+  `;
+  return { ...rows[0], counts: summary.counts };
+}
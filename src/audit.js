@@ -0,0 +1,107 @@
+// src/audit.js
+// Jejak audit perubahan data (tabel AuditLog), dipakai src/index.js (Prisma)
+// & src/worker.js (neon). Satu baris per perubahan:
+//   action  CREATE | UPDATE | DELETE | aksi domain (VOID, RETURN, IMPORT, ...)
+//   entity  nama model ("Product", "Customer", "Sale", ...) + entityId
+//   before / after  CREATE & DELETE: snapshot utuh; UPDATE: hanya field yang
+//                   berubah (diff). `fields` = nama field yang berubah,
+//                   dipakai filter mis. riwayat harga (sellPrice/costPrice).
+
+// tidak pernah disimpan di audit
+const REDACTED = ["password", "tokenHash"];
+// berubah di tiap update, bukan perubahan data
+const IGNORED = ["updatedAt"];
+
+// Date -> ISO string, Prisma Decimal -> string, buang field rahasia
+function plain(obj) {
+  if (obj == null) return null;
+  const out = JSON.parse(JSON.stringify(obj));
+  for (const k of REDACTED) if (k in out) out[k] = "[redacted]";
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Field yang berubah: { before: {f: lama}, after: {f: baru}, fields } */
+export function auditDiff(before, after) {
+  const a = plain(before) || {};
+  const b = plain(after) || {};
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(
+    (k) => !IGNORED.includes(k) && !same(a[k], b[k])
+  );
+  const pick = (o) => Object.fromEntries(fields.map((k) => [k, o[k] ?? null]));
+  return { before: pick(a), after: pick(b), fields };
+}
+
+/**
+ * Baris AuditLog siap simpan.
+ * entry: { action, entity, entityId, before?, after?, note?,
+ *          userId?, username?, ip?, userAgent? }
+ */
+export function auditRecord(entry) {
+  const {
+    action,
+    entity,
+    entityId,
+    before = null,
+    after = null,
+    note = null,
+  } = entry;
+  let data;
+  if (before && after) data = auditDiff(before, after);
+  else {
+    const snap = plain(before ?? after) || {};
+    data = {
+      before: plain(before),
+      after: plain(after),
+      fields: Object.keys(snap).filter((k) => !IGNORED.includes(k)),
+    };
+  }
+  return {
+    action,
+    entity,
+    entityId: String(entityId),
+    before: data.before,
+    after: data.after,
+    fields: data.fields,
+    note,
+    userId: entry.userId ?? null,
+    username: entry.username ?? null,
+    ip: entry.ip ?? null,
+    userAgent: entry.userAgent ?? null,
+  };
+}
+
+/** Simpan lewat `sql` tagged template (worker / tanpa Prisma) */
+export async function insertAudit(sql, entry) {
+  const r = auditRecord(entry);
+  const id = crypto.randomUUID();
+  const before = r.before ? JSON.stringify(r.before) : null;
+  const after = r.after ? JSON.stringify(r.after) : null;
+  await sql`
+    INSERT INTO "AuditLog" (id, action, entity, "entityId", before, after,
+      fields, note, "userId", username, ip, "userAgent")
+    VALUES (${id}, ${r.action}, ${r.entity}, ${r.entityId}, ${before}::jsonb,
+      ${after}::jsonb, ${r.fields}, ${r.note}, ${r.userId}, ${r.username},
+      ${r.ip}, ${r.userAgent})
+    RETURNING id
+  `;
+}
+
+// Field harga yang masuk riwayat harga produk
+export const PRICE_FIELDS = ["sellPrice", "costPrice"];
+
+/** Baris AuditLog (Product) -> entri riwayat harga */
+export const priceChange = (log) => ({
+  at: log.at,
+  action: log.action,
+  userId: log.userId,
+  username: log.username,
+  note: log.note,
+  ...Object.fromEntries(
+    PRICE_FIELDS.filter((f) => log.fields.includes(f)).map((f) => [
+      f,
+      { from: log.before?.[f] ?? null, to: log.after?.[f] ?? null },
+    ])
+  ),
+});
@@ -6,11 +6,79 @@ import pkg from "@prisma/client";
 import jwt from "jsonwebtoken";
 import z from "zod";
 import bcrypt from "bcryptjs";
+import cron from "node-cron";
+import { buildAlerts, runDailyDigest } from "./alerts.js";
+import {
+  pdfInvoice,
+  pdfPaymentReceipt,
+  thermalInvoice,
+  thermalPaymentReceipt,
+} from "./print.js";
+import {
+  barcodeKind,
+  instoreEan13,
+  isValidEan13,
+  pdfLabelSheet,
+  svgLabelSheet,
+} from "./labels.js";
+import {
+  PAGE_HEADERS,
+  nextCursor,
+  parseDateRange,
+  parseListQuery,
+  parseProductFilters,
+} from "./query.js";
+import { CSV_TYPE, XLSX_TYPE, readTable, toCsv, toXlsx } from "./tabular.js";
+import {
+  ACCESS_TOKEN_TTL,
+  SessionError,
+  accessClaims,
+  issueRefreshToken,
+  listUserSessions,
+  revokeRefreshToken,
+  revokeUserSessions,
+  rotateRefreshToken,
+  tokenVersionOk,
+} from "./session.js";
+import {
+  checkLogin,
+  lockStatus,
+  recordFailure,
+  recordSuccess,
+  sqlThrottleStore,
+  throttlePolicy,
+  unlockLogin,
+} from "./throttle.js";
+import {
+  BUILTIN_ROLES,
+  PERMISSIONS,
+  hasPermission,
+  isPermission,
+  loadAppRoles,
+  roleCache,
+  ungrantable,
+} from "./permissions.js";
+import { PRICE_FIELDS, auditRecord, priceChange } from "./audit.js";
 
-const { PrismaClient } = pkg;
+const { PrismaClient, Prisma } = pkg;
 const prisma = new PrismaClient();
 const app = express();
 
+// Di belakang reverse proxy: TRUST_PROXY = jumlah hop proxy (mis. 1) atau
+// daftar IP/subnet proxy. Tanpa ini req.ip = alamat socket; X-Forwarded-For
+// dari klien tidak dipercaya (bisa dipalsukan untuk lolos throttle login).
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY.split(",")
+  );
+}
+
+// tagged template SQL untuk modul bersama (alerts.js)
+const pgSql = (strings, ...values) => prisma.$queryRaw(strings, ...values);
+const ALERT_EXPIRY_DAYS = Number(process.env.ALERT_EXPIRY_DAYS || 30);
+
 /* ============== CORS: allow-all sementara ============== */
 app.use(
   cors({
@@ -18,6 +86,7 @@ app.use(
     credentials: false,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH", "HEAD"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: PAGE_HEADERS, // total & cursor list (src/query.js)
     optionsSuccessStatus: 204,
   })
 );
@@ -32,6 +101,25 @@ app.use(express.json());
 app.get("/api/v1/health", (_req, res) => res.json({ ok: true }));
 
 /* ============== AUTH (username + password) ============== */
+// Access token pendek + refresh token (src/session.js)
+const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || ACCESS_TOKEN_TTL;
+
+const signAccess = (user) =>
+  jwt.sign(accessClaims(user), process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TTL,
+  });
+
+// req.ip mengikuti setting "trust proxy" (lihat TRUST_PROXY di atas)
+const clientMeta = (req) => ({
+  ip: req.ip || req.socket.remoteAddress || null,
+  userAgent: req.headers["user-agent"] || null,
+});
+
+// Throttle & kunci login (src/throttle.js), disimpan di tabel LoginThrottle
+const loginStore = sqlThrottleStore(pgSql);
+const LOGIN_POLICY = throttlePolicy(process.env);
+const clientIp = (req) => clientMeta(req).ip;
+
 app.post("/api/v1/auth/login", async (req, res) => {
   try {
     const { username = "", password = "" } = req.body || {};
@@ -43,151 +131,847 @@ app.post("/api/v1/auth/login", async (req, res) => {
 
     const uname = String(username).trim();
     const user = await prisma.user.findUnique({ where: { username: uname } });
+    const who = { username: uname, ip: clientIp(req) };
+
+    // Catat audit (berhasil/gagal); jangan blokir walau error
+    const audit = (success, reason = null) =>
+      prisma.loginAudit
+        .create({
+          data: {
+            userId: user?.id ?? null,
+            username: uname,
+            role: user?.role ?? null,
+            ...clientMeta(req),
+            success,
+            reason,
+          },
+        })
+        .catch(() => null);
+
+    // Terkunci / terlalu cepat: tolak sebelum cek password
+    const blocked = await checkLogin(loginStore, who, LOGIN_POLICY);
+    if (blocked) {
+      await audit(false, blocked.reason);
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        error:
+          blocked.status === 423
+            ? "Akun terkunci sementara karena terlalu banyak login gagal"
+            : "Terlalu banyak percobaan login, coba lagi nanti",
+        retryAfter: blocked.retryAfter,
+      });
+    }
 
     const ok = user
       ? await bcrypt.compare(String(password), user.password)
       : false;
 
-    // Catat audit (berhasil/gagal)
-    try {
-      await prisma.loginAudit.create({
-        data: {
-          userId: user?.id ?? null,
-          username: uname,
-          role: user?.role ?? null,
-          ip:
-            req.headers["x-forwarded-for"]?.toString() ||
-            req.socket.remoteAddress ||
-            null,
-          userAgent: req.headers["user-agent"] || null,
-        },
-      });
-    } catch (_) {}
-
     if (!user || !ok) {
+      await audit(false, "INVALID");
+      const lock = await recordFailure(loginStore, who, LOGIN_POLICY);
+      if (lock.locked)
+        return res.status(423).json({
+          error: "Akun terkunci sementara karena terlalu banyak login gagal",
+          lockedUntil: lock.lockedUntil,
+        });
       return res.status(401).json({ error: "Invalid credentials" });
     }
+    await audit(true);
+    await recordSuccess(loginStore, who);
+
+    const token = signAccess(user);
+    const session = await issueRefreshToken(pgSql, user.id, clientMeta(req));
+    const permissions = await permissionsFor(user.role);
+    // Ringkasan digest alert terakhir untuk ditampilkan setelah login
+    const digest = hasPermission(permissions, "alerts:run")
+      ? await prisma.alertDigest
+          .findFirst({
+            orderBy: { date: "desc" },
+            select: { id: true, date: true, summary: true },
+          })
+          .catch(() => null)
+      : null;
 
-    const token = jwt.sign(
-      {
-        sub: user.id,
-        role: user.role,
-        name: user.name,
-        username: user.username,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "12h" }
-    );
     res.json({
       token,
+      expiresIn: ACCESS_TTL,
+      refreshToken: session.refreshToken,
+      refreshExpiresAt: session.expiresAt,
+      role: user.role,
+      permissions,
+      name: user.name,
+      username: user.username,
+      digest: digest
+        ? { id: digest.id, date: digest.date, counts: digest.summary?.counts }
+        : null,
+    });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Tukar refresh token -> access token + refresh token baru (rotasi)
+app.post("/api/v1/auth/refresh", async (req, res) => {
+  try {
+    const { user, refreshToken, expiresAt } = await rotateRefreshToken(
+      pgSql,
+      req.body?.refreshToken,
+      clientMeta(req)
+    );
+    res.json({
+      token: signAccess(user),
+      expiresIn: ACCESS_TTL,
+      refreshToken,
+      refreshExpiresAt: expiresAt,
       role: user.role,
+      permissions: await permissionsFor(user.role),
       name: user.name,
       username: user.username,
     });
+  } catch (e) {
+    if (e instanceof SessionError)
+      return res.status(401).json({ error: e.message });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Logout: cabut sesi refresh token ini (access token habis sendiri)
+app.post("/api/v1/auth/logout", async (req, res) => {
+  try {
+    await revokeRefreshToken(pgSql, req.body?.refreshToken);
+    res.json({ ok: true });
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
 /* ============== MIDDLEWARE AUTH & ROLE ============== */
-// Parse JWT & set req.user
-function auth(req, res, next) {
+// Parse JWT & set req.user. Token dengan tokenVersion lama (role/password
+// berubah, sesi dicabut admin) atau milik user yang sudah dihapus ditolak.
+async function auth(req, res, next) {
   const h = req.headers.authorization || "";
   const token = h.startsWith("Bearer ") ? h.slice(7) : null;
   try {
     if (!token) throw new Error("no token");
     const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload; // { sub, role, name, username, iat, exp }
-    next();
+    if (!(await tokenVersionOk(pgSql, payload))) throw new Error("revoked");
+    req.user = payload; // { sub, role, name, username, ver, iat, exp }
   } catch {
-    res.status(401).json({ error: "Unauthorized" });
+    return res.status(401).json({ error: "Unauthorized" });
   }
+  next();
 }
 
-// Hanya izinkan role tertentu
-function allowRoles(...roles) {
-  return (req, res, next) => {
+// Izin per route (src/permissions.js); role tambahan dari tabel AppRole
+const roles = roleCache();
+const loadRoles = () => loadAppRoles(pgSql);
+const permissionsFor = (role) => roles.permissionsOf(role, loadRoles);
+
+// Semua izin wajib dimiliki role user
+function can(...perms) {
+  return async (req, res, next) => {
     if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-    if (!roles.includes(req.user.role))
-      return res.status(403).json({ error: "Forbidden" });
+    const granted = await permissionsFor(req.user.role);
+    const missing = perms.filter((p) => !hasPermission(granted, p));
+    if (missing.length)
+      return res.status(403).json({ error: "Forbidden", missing });
     next();
   };
 }
 
-// VIEWER: boleh GET saja, tolak metode tulis
-function viewerReadOnly(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-  if (req.user.role === "VIEWER" && req.method !== "GET") {
-    return res.status(403).json({ error: "Read-only user" });
+// Selain ADMIN, user hanya boleh memberi / mengubah role yang izinnya
+// tidak melebihi izinnya sendiri (dan tanpa users:manage). Return daftar
+// izin yang melebihi; kosong = boleh.
+async function roleBeyondCaller(req, role) {
+  return ungrantable(
+    req.user.role,
+    await permissionsFor(req.user.role),
+    await permissionsFor(role)
+  );
+}
+
+const roleForbidden = (res, missing) =>
+  res.status(403).json({ error: "Role melebihi hak akses Anda", missing });
+
+const userCan = async (req, perm) =>
+  !!req.user && hasPermission(await permissionsFor(req.user.role), perm);
+
+/* ================= AUDIT TRAIL ================= */
+// Catat perubahan data ke AuditLog (lihat src/audit.js). `db` = prisma atau
+// tx, supaya catatan audit ikut batal kalau transaksinya gagal.
+const auditActor = (req) => ({
+  userId: req.user?.sub ?? null,
+  username: req.user?.username ?? null,
+  ip: clientIp(req),
+  userAgent: clientMeta(req).userAgent,
+});
+
+function auditData(req, entry) {
+  const r = auditRecord({ ...auditActor(req), ...entry });
+  return {
+    ...r,
+    before: r.before ?? Prisma.DbNull,
+    after: r.after ?? Prisma.DbNull,
+  };
+}
+
+function audit(db, req, entry) {
+  return db.auditLog.create({ data: auditData(req, entry) });
+}
+
+// CRUD sederhana + audit dalam satu transaksi. entity = nama model Prisma
+const delegate = (tx, entity) => tx[entity[0].toLowerCase() + entity.slice(1)];
+
+function auditedCreate(req, entity, data) {
+  return prisma.$transaction(async (tx) => {
+    const row = await delegate(tx, entity).create({ data });
+    await audit(tx, req, {
+      action: "CREATE",
+      entity,
+      entityId: row.id,
+      after: row,
+    });
+    return row;
+  });
+}
+
+// soft delete: action "DELETE" dengan data { isActive: false }
+function auditedUpdate(req, entity, id, data, action = "UPDATE") {
+  return prisma.$transaction(async (tx) => {
+    const before = await delegate(tx, entity).findUnique({ where: { id } });
+    if (!before) throw new Error(`${entity} not found`);
+    const row = await delegate(tx, entity).update({ where: { id }, data });
+    await audit(tx, req, { action, entity, entityId: id, before, after: row });
+    return row;
+  });
+}
+
+function auditedDelete(req, entity, id) {
+  return prisma.$transaction(async (tx) => {
+    const row = await delegate(tx, entity).delete({ where: { id } });
+    await audit(tx, req, {
+      action: "DELETE",
+      entity,
+      entityId: id,
+      before: row,
+    });
+    return row;
+  });
+}
+
+/* ================= LIST: PAGING & SORT ================= */
+// Parameter standar lihat src/query.js -> argumen findMany Prisma
+function pageArgs(list) {
+  const dir = list.sortDir;
+  return {
+    take: list.limit ?? undefined,
+    skip: list.cursor ? 1 : list.offset,
+    ...(list.cursor ? { cursor: { id: list.cursor } } : {}),
+    orderBy: [{ [list.sortField]: dir }, { id: dir }],
+  };
+}
+
+function sendPage(res, rows, total, list) {
+  res.set("X-Total-Count", String(total));
+  const next = nextCursor(rows, list.limit);
+  if (next) res.set("X-Next-Cursor", next);
+  res.json(rows);
+}
+
+const contains = (q) => ({ contains: q, mode: "insensitive" });
+
+/* ================= STOCK BATCH (HPP) ================= */
+// Metode HPP per deployment: "FIFO" (default) | "AVG" (rata-rata tertimbang)
+const COSTING_METHOD =
+  (process.env.COSTING_METHOD || "FIFO").toUpperCase() === "AVG"
+    ? "AVG"
+    : "FIFO";
+
+// Lokasi by id, atau lokasi default kalau kosong
+async function resolveLocation(db, locationId) {
+  const loc = locationId
+    ? await db.location.findUnique({ where: { id: locationId } })
+    : await db.location.findFirst({ where: { isDefault: true } });
+  if (!loc || !loc.isActive) throw new Error("Lokasi tidak ditemukan.");
+  return loc;
+}
+
+// Ubah stok per lokasi (ProductStock) sekaligus total Product.stockQty
+async function moveStock(tx, productId, locationId, delta) {
+  await tx.productStock.upsert({
+    where: { productId_locationId: { productId, locationId } },
+    create: { productId, locationId, qty: delta },
+    update: { qty: { increment: delta } },
+  });
+  return tx.product.update({
+    where: { id: productId },
+    data: { stockQty: { increment: delta } },
+  });
+}
+
+// Batch/lot baru untuk setiap barang masuk
+async function createBatch(
+  tx,
+  {
+    productId,
+    locationId,
+    movementId,
+    qty,
+    unitCost,
+    lotNo,
+    expiryDate,
+    receivedAt,
   }
-  next();
+) {
+  const batch = await tx.stockBatch.create({
+    data: {
+      productId,
+      locationId,
+      movementId: movementId ?? null,
+      ...(receivedAt ? { receivedAt } : {}),
+      unitCost,
+      lotNo: lotNo ?? null,
+      expiryDate: expiryDate ?? null,
+      qtyIn: qty,
+      qtyRemaining: qty,
+    },
+  });
+  if (batch.expiryDate) await syncProductExpiry(tx, productId);
+  return batch;
 }
 
-/* ================= PRODUCTS ================= */
-// GET: viewer boleh
-app.get("/api/v1/products", auth, viewerReadOnly, async (req, res) => {
-  const q = (req.query.q || "").toString().toLowerCase();
-  const list = await prisma.product.findMany({
-    where: { isActive: true },
-    orderBy: { createdAt: "desc" },
+// Product.expiryDate = lot tersisa yang paling cepat kadaluarsa
+async function syncProductExpiry(tx, productId) {
+  const next = await tx.stockBatch.findFirst({
+    where: { productId, qtyRemaining: { gt: 0 }, expiryDate: { not: null } },
+    orderBy: { expiryDate: "asc" },
+    select: { expiryDate: true },
   });
-  res.json(q ? list.filter((p) => p.name.toLowerCase().includes(q)) : list);
-});
+  if (next) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { expiryDate: next.expiryDate },
+    });
+  }
+}
 
-// CREATE/UPDATE/DELETE/ADD-STOCK: admin only
-app.post("/api/v1/products", auth, allowRoles("ADMIN"), async (req, res) => {
-  const schema = z.object({
-    name: z.string().min(1),
-    category: z.enum(["Pupuk", "Obat"]),
-    unit: z.enum(["sak", "ml", "liter", "kg"]),
-    costPrice: z.number().int().nonnegative(),
-    sellPrice: z.number().int().nonnegative(),
-    stockQty: z.number().int().nonnegative(),
-    expiryDate: z.string().optional().nullable(),
-    imageUrl: z.string().url().optional().nullable(),
-    minStock: z.number().int().nonnegative().optional().default(5),
-    isActive: z.boolean().optional().default(true),
+/**
+ * Ambil stok dari batch di satu lokasi dan hitung HPP-nya. Urutan ambil
+ * FEFO: lot yang paling cepat kadaluarsa dulu, lalu FIFO (tanpa expiry di akhir).
+ * Kalau batch kurang (data lama / selisih stok), sisanya dihitung
+ * pakai fallbackCost (Product.costPrice).
+ * Return: { allocations: [{ batchId, qty, unitCost }], costTotal }
+ */
+async function consumeBatches(tx, productId, qty, fallbackCost, locationId) {
+  const batches = await tx.$queryRaw`
+    SELECT id, "unitCost", "qtyRemaining"
+    FROM "StockBatch"
+    WHERE "productId" = ${productId} AND "locationId" = ${locationId}
+      AND "qtyRemaining" > 0
+    ORDER BY "expiryDate" ASC NULLS LAST, "receivedAt" ASC, id ASC
+    FOR UPDATE
+  `;
+
+  const allocations = [];
+  let left = qty;
+  for (const b of batches) {
+    if (left <= 0) break;
+    const take = Math.min(left, b.qtyRemaining);
+    await tx.stockBatch.update({
+      where: { id: b.id },
+      data: { qtyRemaining: { decrement: take } },
+    });
+    allocations.push({ batchId: b.id, qty: take, unitCost: b.unitCost });
+    left -= take;
+  }
+  if (allocations.length) await syncProductExpiry(tx, productId);
+
+  let costTotal;
+  if (COSTING_METHOD === "AVG") {
+    const onHand = batches.reduce((a, b) => a + b.qtyRemaining, 0);
+    const value = batches.reduce((a, b) => a + b.qtyRemaining * b.unitCost, 0);
+    const avg = onHand > 0 ? value / onHand : fallbackCost;
+    costTotal = Math.round(avg * qty);
+  } else {
+    costTotal =
+      allocations.reduce((a, x) => a + x.qty * x.unitCost, 0) +
+      left * fallbackCost;
+  }
+
+  return { allocations, costTotal };
+}
+
+// Kembalikan qty retur ke batch asal (yang terakhir dipakai lebih dulu)
+async function restoreBatches(tx, saleItemId, qty) {
+  const allocs = await tx.saleItemBatch.findMany({
+    where: { saleItemId },
+    include: { batch: { select: { productId: true } } },
+    orderBy: { id: "desc" },
   });
+  let left = qty;
+  for (const a of allocs) {
+    if (left <= 0) break;
+    const back = Math.min(left, a.qty - a.returnedQty);
+    if (back <= 0) continue;
+    await tx.saleItemBatch.update({
+      where: { id: a.id },
+      data: { returnedQty: { increment: back } },
+    });
+    await tx.stockBatch.update({
+      where: { id: a.batchId },
+      data: { qtyRemaining: { increment: back } },
+    });
+    left -= back;
+  }
+  if (allocs.length) await syncProductExpiry(tx, allocs[0].batch.productId);
+}
+
+/* ================= PENOMORAN DOKUMEN ================= */
+// Seri default; bisa diubah admin lewat /api/v1/number-series (tabel NumberSeries)
+const NUMBER_SERIES = {
+  INV: { label: "Invoice penjualan", prefix: "INV" },
+  RET: { label: "Retur / void penjualan", prefix: "RET" },
+  RCP: { label: "Kuitansi pembayaran", prefix: "RCP" },
+  GRN: { label: "Penerimaan barang", prefix: "GRN" },
+  PO: { label: "Purchase order", prefix: "PO" },
+  BILL: { label: "Tagihan supplier", prefix: "BILL" },
+  SO: { label: "Stok opname", prefix: "SO" },
+  TRF: { label: "Transfer stok antar lokasi", prefix: "TRF" },
+  SHF: { label: "Shift kasir", prefix: "SHF" },
+};
+const SERIES_DEFAULTS = { period: "MONTH", padding: 6, separator: "-" };
+const NUMBER_TZ = process.env.NUMBER_TZ || "Asia/Jakarta";
+
+async function getSeriesConfig(db, code) {
+  const row = await db.numberSeries.findUnique({ where: { code } });
+  return { ...SERIES_DEFAULTS, ...NUMBER_SERIES[code], ...(row || {}), code };
+}
+
+// Kunci periode counter sesuai granularity (zona waktu toko)
+function periodKey(period, date = new Date()) {
+  if (period === "NONE") return "";
+  const [y, m, d] = new Intl.DateTimeFormat("en-CA", { timeZone: NUMBER_TZ })
+    .format(date)
+    .split("-");
+  if (period === "YEAR") return y;
+  if (period === "DAY") return `${y}${m}${d}`;
+  return `${y}${m}`;
+}
+
+const formatDocNo = (cfg, period, n) =>
+  [cfg.prefix, period, String(n).padStart(cfg.padding, "0")]
+    .filter((x) => x !== "")
+    .join(cfg.separator);
+
+/**
+ * Ambil nomor dokumen berikutnya dari InvoiceCounter (per seri & periode).
+ * Harus dipanggil di dalam transaksi dokumennya: baris counter terkunci
+ * sampai commit, dan ikut rollback kalau transaksi gagal -> tanpa loncat.
+ */
+async function nextDocNo(tx, code) {
+  if (!NUMBER_SERIES[code])
+    throw new Error(`Seri nomor tidak dikenal: ${code}`);
+  const cfg = await getSeriesConfig(tx, code);
+  const period = periodKey(cfg.period);
+  return formatDocNo(cfg, period, await nextCounter(tx, code, period));
+}
+
+// Counter mentah (juga dipakai nomor barcode internal, seri "EAN")
+async function nextCounter(tx, series, period = "") {
+  const rows = await tx.$queryRaw`
+    INSERT INTO "InvoiceCounter" (id, series, period, "lastNumber", "updatedAt")
+    VALUES (${crypto.randomUUID()}, ${series}, ${period}, 1, NOW())
+    ON CONFLICT (series, period) DO UPDATE
+      SET "lastNumber" = "InvoiceCounter"."lastNumber" + 1, "updatedAt" = NOW()
+    RETURNING "lastNumber"
+  `;
+  return rows[0].lastNumber;
+}
+
+app.get(
+  "/api/v1/number-series",
+  auth,
+  can("settings:manage"),
+  async (_req, res) => {
+    const codes = Object.keys(NUMBER_SERIES);
+    const list = [];
+    for (const code of codes) {
+      const cfg = await getSeriesConfig(prisma, code);
+      const period = periodKey(cfg.period);
+      const counter = await prisma.invoiceCounter.findUnique({
+        where: { series_period: { series: code, period } },
+      });
+      const last = counter?.lastNumber ?? 0;
+      list.push({
+        ...cfg,
+        currentPeriod: period,
+        lastNumber: last,
+        next: formatDocNo(cfg, period, last + 1),
+      });
+    }
+    res.json(list);
+  }
+);
+
+app.put(
+  "/api/v1/number-series/:code",
+  auth,
+  can("settings:manage"),
+  async (req, res) => {
+    const schema = z.object({
+      prefix: z.string().min(1).max(20),
+      period: z.enum(["DAY", "MONTH", "YEAR", "NONE"]),
+      padding: z.number().int().min(1).max(12),
+      separator: z.string().max(3).default("-"),
+    });
+    try {
+      const code = req.params.code.toUpperCase();
+      if (!NUMBER_SERIES[code])
+        return res.status(404).json({ error: "Seri tidak dikenal" });
+      const data = schema.parse(req.body);
+      const saved = await prisma.$transaction(async (tx) => {
+        const before = await tx.numberSeries.findUnique({ where: { code } });
+        const row = await tx.numberSeries.upsert({
+          where: { code },
+          update: data,
+          create: { code, ...data },
+        });
+        await audit(tx, req, {
+          action: before ? "UPDATE" : "CREATE",
+          entity: "NumberSeries",
+          entityId: code,
+          before,
+          after: row,
+        });
+        return row;
+      });
+      res.json(saved);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= PRODUCTS ================= */
+// GET: viewer boleh
+app.get("/api/v1/products", auth, can("products:read"), async (req, res) => {
+  // ?locationId= : stockQty = stok di lokasi itu (totalStockQty = semua)
+  const locationId = (req.query.locationId || "").toString();
   try {
-    const data = schema.parse(req.body);
-    const created = await prisma.product.create({
-      data: {
-        ...data,
-        expiryDate: data.expiryDate ? new Date(data.expiryDate) : null,
-        isActive: true,
-      },
+    const list = parseListQuery(req.query, {
+      sortFields: ["createdAt", "name", "sellPrice", "stockQty"],
+      defaultSort: "-createdAt",
+      defaultLimit: null,
     });
-    res.json(created);
+    const f = parseProductFilters(req.query);
+    const and = [];
+    // q: nama / SKU (mengandung, tanpa beda huruf) atau barcode persis
+    if (list.q)
+      and.push({
+        OR: [
+          { name: contains(list.q) },
+          { sku: contains(list.q) },
+          { barcodes: { some: { code: list.q } } },
+        ],
+      });
+    if (f.category) and.push({ category: f.category });
+    // stok menipis dibanding total semua lokasi (sama seperti alert)
+    if (f.lowStock)
+      and.push({ stockQty: { lte: prisma.product.fields.minStock } });
+    if (f.expiringBefore)
+      and.push({ expiryDate: { not: null, lte: f.expiringBefore } });
+    if (f.minPrice != null) and.push({ sellPrice: { gte: f.minPrice } });
+    if (f.maxPrice != null) and.push({ sellPrice: { lte: f.maxPrice } });
+    const where = { isActive: true, AND: and };
+
+    const [total, items] = await Promise.all([
+      prisma.product.count({ where }),
+      prisma.product.findMany({
+        where,
+        include: {
+          units: true,
+          ...(locationId ? { stocks: { where: { locationId } } } : {}),
+        },
+        ...pageArgs(list),
+      }),
+    ]);
+    const rows = locationId
+      ? items.map(({ stocks, ...p }) => ({
+          ...p,
+          totalStockQty: p.stockQty,
+          stockQty: stocks[0]?.qty ?? 0,
+        }))
+      : items;
+    sendPage(res, rows, total, list);
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
-app.put("/api/v1/products/:id", auth, allowRoles("ADMIN"), async (req, res) => {
+// Dipakai POST /products & import produk (/imports/products)
+const productSchema = z.object({
+  sku: z.string().trim().min(1).optional().nullable(),
+  name: z.string().min(1),
+  category: z.enum(["Pupuk", "Obat"]),
+  unit: z.enum(["sak", "ml", "liter", "kg"]),
+  costPrice: z.number().int().nonnegative(),
+  sellPrice: z.number().int().nonnegative(),
+  stockQty: z.number().int().nonnegative(),
+  expiryDate: z.string().optional().nullable(),
+  imageUrl: z.string().url().optional().nullable(),
+  minStock: z.number().int().nonnegative().optional().default(5),
+  isActive: z.boolean().optional().default(true),
+  locationId: z.string().optional().nullable(), // lokasi stok awal
+});
+
+// Stok awal dicatat sebagai barang masuk supaya punya batch HPP
+async function openingStock(
+  tx,
+  product,
+  { locationId, qty, unitCost, lotNo, expiryDate, note, userId }
+) {
+  const p = await moveStock(tx, product.id, locationId, qty);
+  const cost = typeof unitCost === "number" ? unitCost : product.costPrice;
+  const mv = await tx.stockMovement.create({
+    data: {
+      productId: product.id,
+      type: "IN",
+      qty,
+      reason: "Opening",
+      locationId,
+      userId,
+      unitCost: cost,
+      note: note ?? null,
+    },
+  });
+  await createBatch(tx, {
+    productId: product.id,
+    locationId,
+    movementId: mv.id,
+    qty,
+    unitCost: cost,
+    lotNo: lotNo || null,
+    expiryDate: expiryDate ?? product.expiryDate,
+  });
+  return p;
+}
+
+// CREATE/UPDATE/DELETE/ADD-STOCK: admin only
+app.post("/api/v1/products", auth, can("products:edit"), async (req, res) => {
   try {
-    const id = req.params.id;
-    const payload = { ...req.body };
-    if (payload.expiryDate) payload.expiryDate = new Date(payload.expiryDate);
-    const updated = await prisma.product.update({
-      where: { id },
-      data: payload,
+    const { locationId, stockQty, ...data } = productSchema.parse(req.body);
+    const loc = await resolveLocation(prisma, locationId);
+    const created = await prisma.$transaction(async (tx) => {
+      const p = await tx.product.create({
+        data: {
+          ...data,
+          expiryDate: data.expiryDate ? new Date(data.expiryDate) : null,
+          isActive: true,
+        },
+      });
+      await audit(tx, req, {
+        action: "CREATE",
+        entity: "Product",
+        entityId: p.id,
+        after: p,
+      });
+      if (stockQty <= 0) return p;
+      return openingStock(tx, p, {
+        locationId: loc.id,
+        qty: stockQty,
+        userId: req.user?.sub || "admin",
+      });
     });
-    res.json(updated);
+    res.json(created);
   } catch (e) {
+    if (e?.code === "P2002")
+      return res.status(409).json({ error: "SKU sudah dipakai produk lain." });
     res.status(400).json({ error: e.message });
   }
 });
 
+app.put(
+  "/api/v1/products/:id",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const payload = { ...req.body };
+      const current = await prisma.product.findUnique({ where: { id } });
+      if (!current) return res.status(404).json({ error: "Product not found" });
+      // client biasa mengirim ulang objek produk utuh: izin harga hanya
+      // diperlukan kalau nilainya benar-benar berubah
+      const priceChanged = PRICE_FIELDS.some(
+        (f) => f in payload && payload[f] !== current[f]
+      );
+      if (priceChanged && !(await userCan(req, "prices:edit")))
+        return res
+          .status(403)
+          .json({ error: "Forbidden", missing: ["prices:edit"] });
+      if (payload.expiryDate) payload.expiryDate = new Date(payload.expiryDate);
+      // stok per lokasi hanya berubah lewat movement (add-stock, opname, ...)
+      delete payload.stockQty;
+      const updated = await auditedUpdate(req, "Product", id, payload);
+      res.json(updated);
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res
+          .status(409)
+          .json({ error: "SKU sudah dipakai produk lain." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
 app.delete(
   "/api/v1/products/:id",
   auth,
-  allowRoles("ADMIN"),
+  can("products:edit"),
+  async (req, res) => {
+    try {
+      await auditedUpdate(
+        req,
+        "Product",
+        req.params.id,
+        { isActive: false }, // soft delete
+        "DELETE"
+      );
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Riwayat harga jual/modal dari AuditLog (terbaru dulu): produk dibuat,
+// diubah lewat PUT /products/:id, atau import produk
+app.get(
+  "/api/v1/products/:id/price-history",
+  auth,
+  can("products:read"),
+  async (req, res) => {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, name: true, sellPrice: true, costPrice: true },
+    });
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const logs = await prisma.auditLog.findMany({
+      where: {
+        entity: "Product",
+        entityId: product.id,
+        fields: { hasSome: PRICE_FIELDS },
+      },
+      orderBy: { at: "desc" },
+      take: 500,
+    });
+    res.json({ ...product, history: logs.map(priceChange) });
+  }
+);
+
+/* --- Satuan alternatif (konversi ke satuan dasar) --- */
+// unit kosong / sama dengan Product.unit = satuan dasar (factor 1)
+// ownPrice: satuan punya harga jual sendiri (bukan harga dasar x faktor)
+function findUnit(product, name) {
+  if (!name || name === product.unit)
+    return {
+      unit: null,
+      factor: 1,
+      sellPrice: product.sellPrice,
+      ownPrice: false,
+    };
+  const u = product.units?.find((x) => x.name === name);
+  if (!u)
+    throw new Error(`Satuan ${name} tidak terdaftar untuk ${product.name}`);
+  return {
+    unit: u.name,
+    factor: u.factor,
+    sellPrice: u.sellPrice ?? product.sellPrice * u.factor,
+    ownPrice: u.sellPrice != null,
+  };
+}
+
+const productUnitSchema = z.object({
+  name: z.string().min(1),
+  factor: z.number().int().min(2),
+  sellPrice: z.number().int().nonnegative().optional().nullable(),
+});
+
+app.get(
+  "/api/v1/products/:id/units",
+  auth,
+  can("products:read"),
+  async (req, res) => {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      include: { units: { orderBy: { factor: "asc" } } },
+    });
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    res.json({
+      baseUnit: product.unit,
+      units: product.units.map((u) => ({
+        ...u,
+        effectiveSellPrice: u.sellPrice ?? product.sellPrice * u.factor,
+      })),
+    });
+  }
+);
+
+app.post(
+  "/api/v1/products/:id/units",
+  auth,
+  can("products:edit"),
   async (req, res) => {
     try {
-      await prisma.product.update({
+      const data = productUnitSchema.parse(req.body);
+      const product = await prisma.product.findUnique({
         where: { id: req.params.id },
-        data: { isActive: false }, // soft delete
       });
+      if (!product) return res.status(404).json({ error: "Product not found" });
+      if (data.name === product.unit)
+        throw new Error("Nama satuan sama dengan satuan dasar.");
+      const created = await auditedCreate(req, "ProductUnit", {
+        ...data,
+        productId: product.id,
+      });
+      res.json(created);
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res.status(409).json({ error: "Satuan sudah ada." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.put(
+  "/api/v1/product-units/:id",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    try {
+      const updated = await auditedUpdate(
+        req,
+        "ProductUnit",
+        req.params.id,
+        productUnitSchema.partial().parse(req.body)
+      );
+      res.json(updated);
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res.status(409).json({ error: "Satuan sudah ada." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Hapus permanen: SaleItem menyimpan nama & faktor satuannya sendiri
+app.delete(
+  "/api/v1/product-units/:id",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    try {
+      await auditedDelete(req, "ProductUnit", req.params.id);
       res.json({ ok: true });
     } catch (e) {
       res.status(400).json({ error: e.message });
@@ -199,39 +983,67 @@ app.delete(
 app.post(
   "/api/v1/products/:id/add-stock",
   auth,
-  allowRoles("ADMIN"),
+  can("stock:in"),
   async (req, res) => {
     const schema = z.object({
       qty: z.number().int().positive(),
+      unit: z.string().optional().nullable(), // qty & unitCost dalam satuan ini
       unitCost: z.number().int().nonnegative().optional(),
+      locationId: z.string().optional().nullable(),
       note: z.string().optional().nullable(),
+      lotNo: z.string().optional().nullable(),
+      expiryDate: z.string().optional().nullable(),
     });
     try {
-      const { qty, unitCost, note } = schema.parse(req.body);
+      const body = schema.parse(req.body);
+      const { note, lotNo, expiryDate } = body;
       const productId = req.params.id;
 
       const prod = await prisma.product.findUnique({
         where: { id: productId },
+        include: { units: true },
       });
       if (!prod)
         return res.status(404).json({ error: "Produk tidak ditemukan" });
 
+      const loc = await resolveLocation(prisma, body.locationId);
+      // Stok & HPP selalu disimpan dalam satuan dasar
+      const { factor } = findUnit(prod, body.unit);
+      const qty = body.qty * factor;
+      const unitCost =
+        typeof body.unitCost === "number"
+          ? Math.round(body.unitCost / factor)
+          : undefined;
+
       const updated = await prisma.$transaction(async (tx) => {
-        const p = await tx.product.update({
-          where: { id: productId },
-          data: { stockQty: { increment: qty } },
-        });
-        await tx.stockMovement.create({
+        const p = await moveStock(tx, productId, loc.id, qty);
+        const mv = await tx.stockMovement.create({
           data: {
             productId,
             type: "IN",
             qty,
             reason: "StockIn",
+            locationId: loc.id,
             userId: req.user?.sub || "admin",
             unitCost: typeof unitCost === "number" ? unitCost : null,
-            note: note ?? null,
+            note: note ?? (factor > 1 ? `${body.qty} ${body.unit}` : null),
           },
         });
+        await createBatch(tx, {
+          productId,
+          locationId: loc.id,
+          movementId: mv.id,
+          qty,
+          unitCost: typeof unitCost === "number" ? unitCost : prod.costPrice,
+          lotNo: lotNo || null,
+          expiryDate: expiryDate ? new Date(expiryDate) : null,
+        });
+        await audit(tx, req, {
+          action: "STOCK_IN",
+          entity: "StockMovement",
+          entityId: mv.id,
+          after: mv,
+        });
         return p;
       });
 
@@ -242,514 +1054,5700 @@ app.post(
   }
 );
 
-/* ================= CUSTOMERS ================= */
-// GET: viewer boleh
-app.get("/api/v1/customers", auth, viewerReadOnly, async (_req, res) => {
-  const customers = await prisma.customer.findMany({
-    orderBy: { createdAt: "desc" },
-  });
-  res.json(customers);
-});
+/* ================= KARTU STOK ================= */
+// Arah movement: IN +, OUT -, ADJUST sudah bertanda
+const signedQty = (m) => (m.type === "OUT" ? -m.qty : m.qty);
 
-// CREATE/UPDATE/DELETE: admin only
-app.post("/api/v1/customers", auth, allowRoles("ADMIN"), async (req, res) => {
-  const schema = z.object({
-    name: z.string().min(1),
-    phone: z.string().optional().nullable(),
-    address: z.string().optional().nullable(),
-    notes: z.string().optional().nullable(),
-  });
-  try {
-    const created = await prisma.customer.create({
-      data: schema.parse(req.body),
-    });
-    res.json(created);
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+// Dokumen sumber movement (refId) per reason -> { type, id, no }
+async function movementRefs(moves) {
+  const ids = (reasons) =>
+    Array.from(
+      new Set(
+        moves
+          .filter((m) => m.refId && reasons.includes(m.reason))
+          .map((m) => m.refId)
+      )
+    );
+  const [sales, receipts, transfers, counts] = await Promise.all([
+    prisma.sale.findMany({
+      where: { id: { in: ids(["Sale", "Return", "Void"]) } },
+      select: { id: true, invoiceNo: true },
+    }),
+    prisma.goodsReceipt.findMany({
+      where: { id: { in: ids(["StockIn"]) } },
+      select: { id: true, receiptNo: true },
+    }),
+    prisma.stockTransfer.findMany({
+      where: { id: { in: ids(["Transfer"]) } },
+      select: { id: true, transferNo: true },
+    }),
+    prisma.stockCount.findMany({
+      where: { id: { in: ids(["StockCount"]) } },
+      select: { id: true, countNo: true },
+    }),
+  ]);
+  const map = new Map([
+    ...sales.map((s) => [s.id, { type: "sale", id: s.id, no: s.invoiceNo }]),
+    ...receipts.map((r) => [
+      r.id,
+      { type: "goods-receipt", id: r.id, no: r.receiptNo },
+    ]),
+    ...transfers.map((t) => [
+      t.id,
+      { type: "stock-transfer", id: t.id, no: t.transferNo },
+    ]),
+    ...counts.map((c) => [
+      c.id,
+      { type: "stock-count", id: c.id, no: c.countNo },
+    ]),
+  ]);
+  return (m) => (m.refId ? map.get(m.refId) ?? null : null);
+}
 
-app.put(
-  "/api/v1/customers/:id",
+// Kartu stok: saldo awal (sebelum ?from) + movement + saldo berjalan.
+// ?from=&to= (opsional, default seluruh riwayat) &locationId=
+app.get(
+  "/api/v1/products/:id/movements",
   auth,
-  allowRoles("ADMIN"),
+  can("stock:read"),
   async (req, res) => {
     try {
-      const updated = await prisma.customer.update({
+      const product = await prisma.product.findUnique({
         where: { id: req.params.id },
-        data: req.body,
+        select: { id: true, sku: true, name: true, unit: true, stockQty: true },
+      });
+      if (!product) return res.status(404).json({ error: "Product not found" });
+
+      const { from, to } = parseDateRange(req.query);
+      const locationId = (req.query.locationId || "").toString() || null;
+      const base = {
+        productId: product.id,
+        ...(locationId ? { locationId } : {}),
+      };
+
+      const [before, moves] = await Promise.all([
+        from
+          ? prisma.stockMovement.groupBy({
+              by: ["type"],
+              where: { ...base, date: { lt: from } },
+              _sum: { qty: true },
+            })
+          : [],
+        prisma.stockMovement.findMany({
+          where: {
+            ...base,
+            ...(from || to
+              ? {
+                  date: {
+                    ...(from ? { gte: from } : {}),
+                    ...(to ? { lte: to } : {}),
+                  },
+                }
+              : {}),
+          },
+          include: {
+            location: { select: { id: true, code: true, name: true } },
+          },
+          orderBy: [{ date: "asc" }, { id: "asc" }],
+        }),
+      ]);
+
+      const userIds = Array.from(
+        new Set(moves.map((m) => m.userId).filter(Boolean))
+      );
+      const [refOf, users] = await Promise.all([
+        movementRefs(moves),
+        prisma.user.findMany({
+          where: { id: { in: userIds } },
+          select: { id: true, username: true, name: true },
+        }),
+      ]);
+
+      const openingQty = before.reduce(
+        (a, g) => a + signedQty({ type: g.type, qty: g._sum.qty || 0 }),
+        0
+      );
+      let balance = openingQty;
+      let totalIn = 0;
+      let totalOut = 0;
+      const rows = moves.map((m) => {
+        const q = signedQty(m);
+        balance += q;
+        if (q > 0) totalIn += q;
+        else totalOut -= q;
+        return {
+          id: m.id,
+          date: m.date,
+          type: m.type,
+          reason: m.reason,
+          qtyIn: q > 0 ? q : 0,
+          qtyOut: q < 0 ? -q : 0,
+          balance,
+          unitCost: m.unitCost,
+          location: m.location,
+          ref: refOf(m),
+          note: m.note,
+          // userId lama bisa berisi "admin" (bukan id User)
+          user: users.find((u) => u.id === m.userId) ?? {
+            id: m.userId,
+            username: m.userId,
+            name: null,
+          },
+        };
+      });
+
+      res.json({
+        product,
+        locationId,
+        range: { from, to },
+        openingQty,
+        in: totalIn,
+        out: totalOut,
+        closingQty: balance,
+        movements: rows,
       });
-      res.json(updated);
     } catch (e) {
       res.status(400).json({ error: e.message });
     }
   }
 );
 
-app.delete(
-  "/api/v1/customers/:id",
+/* ================= BARCODE & SKU ================= */
+// Scan kasir: barcode -> SKU -> id. Barcode kemasan mengembalikan satuannya.
+app.get(
+  "/api/v1/products/lookup",
   auth,
-  allowRoles("ADMIN"),
+  can("products:read"),
   async (req, res) => {
     try {
-      await prisma.customer.delete({ where: { id: req.params.id } });
-      res.json({ ok: true });
+      const code = (req.query.code || "").toString().trim();
+      if (!code) return res.status(400).json({ error: "code wajib" });
+
+      const include = { units: true };
+      let matchedBy = "barcode";
+      let unit = null;
+      let product = null;
+      const bc = await prisma.productBarcode.findUnique({
+        where: { code },
+        include: { product: { include }, unit: true },
+      });
+      if (bc) {
+        product = bc.product;
+        unit = bc.unit;
+      } else {
+        matchedBy = "sku";
+        product = await prisma.product.findFirst({
+          where: { sku: { equals: code, mode: "insensitive" } },
+          include,
+        });
+        if (!product) {
+          matchedBy = "id";
+          product = await prisma.product.findUnique({
+            where: { id: code },
+            include,
+          });
+        }
+      }
+      if (!product || !product.isActive)
+        return res.status(404).json({ error: "Produk tidak ditemukan", code });
+
+      const u = findUnit(product, unit?.name);
+      res.json({
+        matchedBy,
+        code,
+        product,
+        unit: unit?.name ?? product.unit,
+        unitFactor: u.factor,
+        sellPrice: u.sellPrice,
+      });
     } catch (e) {
       res.status(400).json({ error: e.message });
     }
   }
 );
 
-/* ================= SALES / POS ================= */
-// CREATE SALE (POS): admin only
-app.post("/api/v1/sales", auth, allowRoles("ADMIN"), async (req, res) => {
-  const schema = z.object({
-    customerId: z.string().optional().nullable(),
-    note: z.string().optional().nullable(),
-    items: z.array(
-      z.object({ productId: z.string(), qty: z.number().int().positive() })
-    ),
-    amountPaid: z.number().int().nonnegative().default(0),
-    method: z.enum(["Tunai", "Transfer", "QRIS"]).default("Tunai"),
-  });
+app.get(
+  "/api/v1/products/:id/barcodes",
+  auth,
+  can("products:read"),
+  async (req, res) => {
+    const list = await prisma.productBarcode.findMany({
+      where: { productId: req.params.id },
+      include: { unit: { select: { id: true, name: true, factor: true } } },
+      orderBy: { createdAt: "asc" },
+    });
+    res.json(list);
+  }
+);
 
-  const calcStatus = (paid, total) =>
-    paid >= total ? "Lunas" : paid > 0 ? "Sebagian" : "Piutang";
+// Barcode internal (EAN-13 prefix 200) dari counter "EAN"
+async function generateBarcode(tx, productId, unitId = null) {
+  const code = instoreEan13(await nextCounter(tx, "EAN"));
+  return tx.productBarcode.create({
+    data: { productId, unitId, code, kind: "EAN13", isGenerated: true },
+  });
+}
 
-  // Helper: ambil nomor invoice dari PostgreSQL sequence (anti-duplicate)
-  async function nextInvoiceNoSeq(tx) {
-    const now = new Date();
-    const period = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(
-      2,
-      "0"
-    )}`; // YYYYMM
-    const prefix = `INV-${period}-`;
+async function checkBarcodeUnit(productId, unitId) {
+  if (!unitId) return;
+  const unit = await prisma.productUnit.findUnique({ where: { id: unitId } });
+  if (!unit || unit.productId !== productId)
+    throw new Error("Satuan tidak terdaftar untuk produk ini.");
+}
 
-    await tx.$executeRawUnsafe(`CREATE SEQUENCE IF NOT EXISTS inv_global_seq`);
-    const rows = await tx.$queryRawUnsafe(
-      `SELECT nextval('inv_global_seq') AS seq`
-    );
-    const seq = Array.isArray(rows) ? rows[0].seq : rows.seq;
+// Daftarkan barcode pabrik / supplier
+app.post(
+  "/api/v1/products/:id/barcodes",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    const schema = z.object({
+      code: z.string().trim().min(1),
+      unitId: z.string().optional().nullable(),
+    });
+    try {
+      const { code, unitId } = schema.parse(req.body);
+      if (/^\d{13}$/.test(code) && !isValidEan13(code))
+        throw new Error("Check digit EAN-13 tidak valid.");
+      await checkBarcodeUnit(req.params.id, unitId);
+      const created = await auditedCreate(req, "ProductBarcode", {
+        productId: req.params.id,
+        unitId: unitId ?? null,
+        code,
+        kind: barcodeKind(code),
+      });
+      res.json(created);
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res.status(409).json({ error: "Barcode sudah terdaftar." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
 
-    const invoiceNo = `${prefix}${String(seq).padStart(6, "0")}`;
-    return { invoiceNo };
+// Buat barcode internal untuk produk tanpa barcode
+app.post(
+  "/api/v1/products/:id/barcodes/generate",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    const schema = z.object({ unitId: z.string().optional().nullable() });
+    try {
+      const { unitId } = schema.parse(req.body || {});
+      await checkBarcodeUnit(req.params.id, unitId);
+      const created = await prisma.$transaction(async (tx) => {
+        const bc = await generateBarcode(tx, req.params.id, unitId ?? null);
+        await audit(tx, req, {
+          action: "CREATE",
+          entity: "ProductBarcode",
+          entityId: bc.id,
+          after: bc,
+        });
+        return bc;
+      });
+      res.json(created);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
   }
+);
 
-  try {
-    const payload = schema.parse(req.body);
+app.delete(
+  "/api/v1/product-barcodes/:id",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    try {
+      await auditedDelete(req, "ProductBarcode", req.params.id);
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
 
-    // Validasi produk & stok
-    const ids = payload.items.map((i) => i.productId);
-    const products = await prisma.product.findMany({
-      where: { id: { in: ids } },
+/**
+ * Cetak lembar label barcode (format=pdf|svg). Produk/satuan yang belum
+ * punya barcode otomatis dibuatkan EAN-13 internal. skip = jumlah slot
+ * label yang sudah terpakai di lembar pertama.
+ */
+app.post(
+  "/api/v1/barcode-labels",
+  auth,
+  can("products:edit"),
+  async (req, res) => {
+    const schema = z.object({
+      format: z.enum(["pdf", "svg"]).default("pdf"),
+      skip: z.number().int().nonnegative().default(0),
+      items: z
+        .array(
+          z.object({
+            productId: z.string(),
+            unitId: z.string().optional().nullable(),
+            copies: z.number().int().positive().max(500).default(1),
+          })
+        )
+        .min(1),
     });
-    if (products.length !== ids.length)
-      throw new Error("Produk tidak ditemukan.");
+    try {
+      const payload = schema.parse(req.body);
+      const ids = Array.from(new Set(payload.items.map((i) => i.productId)));
+      const products = await prisma.product.findMany({
+        where: { id: { in: ids } },
+        include: { units: true, barcodes: { orderBy: { createdAt: "asc" } } },
+      });
+      if (products.length !== ids.length)
+        throw new Error("Produk tidak ditemukan.");
 
-    const calcItems = payload.items.map((i) => {
-      const p = products.find((pp) => pp.id === i.productId);
-      if (!p) throw new Error("Produk tidak ditemukan.");
-      if (p.stockQty < i.qty) throw new Error(`Stok tidak cukup: ${p.name}`);
-      const unitPrice = p.sellPrice;
-      return { ...i, unitPrice, lineTotal: unitPrice * i.qty };
+      const labels = await prisma.$transaction(async (tx) => {
+        const out = [];
+        for (const i of payload.items) {
+          const p = products.find((x) => x.id === i.productId);
+          const unit = i.unitId ? p.units.find((u) => u.id === i.unitId) : null;
+          if (i.unitId && !unit)
+            throw new Error(`Satuan tidak terdaftar untuk ${p.name}`);
+          let bc = p.barcodes.find((b) => b.unitId === (i.unitId ?? null));
+          if (!bc) {
+            bc = await generateBarcode(tx, p.id, i.unitId ?? null);
+            p.barcodes.push(bc);
+            await audit(tx, req, {
+              action: "CREATE",
+              entity: "ProductBarcode",
+              entityId: bc.id,
+              after: bc,
+              note: "label",
+            });
+          }
+          const u = findUnit(p, unit?.name);
+          for (let n = 0; n < i.copies; n++)
+            out.push({
+              name: p.name,
+              unit: unit?.name ?? null,
+              price: u.sellPrice,
+              code: bc.code,
+              kind: bc.kind,
+            });
+        }
+        return out;
+      });
+
+      if (payload.format === "svg") {
+        res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+        return res.send(svgLabelSheet(labels, { skip: payload.skip }));
+      }
+      sendPdf(
+        res,
+        await pdfLabelSheet(labels, { skip: payload.skip }),
+        "label-barcode.pdf"
+      );
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= LOTS (viewer boleh) ================= */
+// Lot per produk; default hanya yang masih ada stok (?all=1 untuk semua)
+app.get(
+  "/api/v1/products/:id/lots",
+  auth,
+  can("stock:read"),
+  async (req, res) => {
+    const all = req.query.all === "1";
+    const locationId = (req.query.locationId || "").toString();
+    const lots = await prisma.stockBatch.findMany({
+      where: {
+        productId: req.params.id,
+        ...(all ? {} : { qtyRemaining: { gt: 0 } }),
+        ...(locationId ? { locationId } : {}),
+      },
+      orderBy: [
+        { expiryDate: { sort: "asc", nulls: "last" } },
+        { receivedAt: "asc" },
+      ],
     });
+    res.json(lots);
+  }
+);
 
-    const grandTotal = calcItems.reduce((a, i) => a + i.lineTotal, 0);
-    const status = calcStatus(payload.amountPaid, grandTotal);
+// Telusur recall: lot -> invoice & pelanggan yang menerima
+app.get("/api/v1/lots/trace", auth, can("stock:read"), async (req, res) => {
+  try {
+    const batchId = (req.query.batchId || "").toString().trim();
+    const lotNo = (req.query.lotNo || "").toString().trim();
+    const productId = (req.query.productId || "").toString().trim();
+    if (!batchId && !lotNo)
+      return res.status(400).json({ error: "batchId atau lotNo wajib" });
 
-    // Transaksi utama
-    const sale = await prisma.$transaction(async (tx) => {
-      const { invoiceNo } = await nextInvoiceNoSeq(tx);
+    const batches = await prisma.stockBatch.findMany({
+      where: batchId
+        ? { id: batchId }
+        : { lotNo, ...(productId ? { productId } : {}) },
+      include: { product: { select: { id: true, name: true, unit: true } } },
+    });
+    if (!batches.length)
+      return res.status(404).json({ error: "Lot tidak ditemukan" });
 
-      const s = await tx.sale.create({
-        data: {
-          invoiceNo,
-          customerId: payload.customerId ?? null,
-          note: payload.note ?? null,
-          grandTotal,
-          amountPaid: payload.amountPaid,
-          paymentStatus: status,
-          items: {
-            create: calcItems.map((i) => ({
-              productId: i.productId,
-              qty: i.qty,
-              unitPrice: i.unitPrice,
-              lineTotal: i.lineTotal,
-            })),
+    const allocs = await prisma.saleItemBatch.findMany({
+      where: { batchId: { in: batches.map((b) => b.id) } },
+      include: {
+        saleItem: {
+          select: {
+            sale: {
+              select: {
+                id: true,
+                invoiceNo: true,
+                date: true,
+                voidedAt: true,
+                customer: {
+                  select: { id: true, name: true, phone: true, address: true },
+                },
+              },
+            },
           },
         },
-      });
-
-      // Stok & movement
-      for (const i of calcItems) {
-        await tx.product.update({
-          where: { id: i.productId },
-          data: { stockQty: { decrement: i.qty } },
-        });
-        await tx.stockMovement.create({
-          data: {
-            productId: i.productId,
-            type: "OUT",
-            qty: i.qty,
-            reason: "Sale",
-            refId: s.id,
-            userId: req.user?.sub || "admin",
-          },
-        });
-      }
+      },
+    });
 
-      // Pembayaran awal
-      if (payload.amountPaid > 0) {
-        await tx.payment.create({
-          data: {
-            saleId: s.id,
-            amount: payload.amountPaid,
-            method: payload.method,
-          },
-        });
-      }
+    const sales = allocs
+      .map((a) => ({
+        batchId: a.batchId,
+        saleId: a.saleItem.sale.id,
+        invoiceNo: a.saleItem.sale.invoiceNo,
+        date: a.saleItem.sale.date,
+        voided: !!a.saleItem.sale.voidedAt,
+        customer: a.saleItem.sale.customer ?? null,
+        qty: a.qty,
+        returnedQty: a.returnedQty,
+      }))
+      .sort((x, y) => y.date - x.date);
 
-      return s;
+    res.json({
+      lots: batches.map((b) => ({
+        id: b.id,
+        lotNo: b.lotNo,
+        locationId: b.locationId,
+        expiryDate: b.expiryDate,
+        receivedAt: b.receivedAt,
+        qtyIn: b.qtyIn,
+        qtyRemaining: b.qtyRemaining,
+        product: b.product,
+      })),
+      sales,
     });
-
-    res.json(sale);
   } catch (e) {
-    if (e?.code === "P2002" && e?.meta?.target?.includes("invoiceNo")) {
-      return res
-        .status(409)
-        .json({ error: "Nomor invoice bentrok, silakan coba lagi." });
-    }
     res.status(400).json({ error: e.message });
   }
 });
 
-// LIST SALES: viewer boleh
-app.get("/api/v1/sales", auth, viewerReadOnly, async (req, res) => {
-  const status = req.query.status?.toString();
-  const where = status
-    ? status === "open"
-      ? { paymentStatus: { in: ["Piutang", "Sebagian"] } }
-      : { paymentStatus: "Lunas" }
-    : {};
-  const sales = await prisma.sale.findMany({
-    where,
-    orderBy: { date: "desc" },
+/* ================= LOKASI & TRANSFER STOK ================= */
+app.get("/api/v1/locations", auth, can("stock:read"), async (req, res) => {
+  const all = req.query.all === "1";
+  const locations = await prisma.location.findMany({
+    where: all ? {} : { isActive: true },
+    orderBy: [{ isDefault: "desc" }, { name: "asc" }],
   });
-  res.json(sales);
+  res.json(locations);
 });
 
-// DETAIL 1 INVOICE: viewer boleh
-app.get("/api/v1/sales/:id/detail", auth, viewerReadOnly, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const sale = await prisma.sale.findUnique({
-      where: { id },
+const locationSchema = z.object({
+  code: z.string().min(1),
+  name: z.string().min(1),
+  address: z.string().optional().nullable(),
+  isDefault: z.boolean().optional(),
+  isActive: z.boolean().optional(),
+});
+
+// Hanya satu lokasi default
+async function saveLocation(req, id, data) {
+  return prisma.$transaction(async (tx) => {
+    const before = id ? await tx.location.findUnique({ where: { id } }) : null;
+    if (id && !before) throw new Error("Location not found");
+    const loc = id
+      ? await tx.location.update({ where: { id }, data })
+      : await tx.location.create({ data });
+    if (loc.isDefault)
+      await tx.location.updateMany({
+        where: { isDefault: true, NOT: { id: loc.id } },
+        data: { isDefault: false },
+      });
+    await audit(tx, req, {
+      action: id ? "UPDATE" : "CREATE",
+      entity: "Location",
+      entityId: loc.id,
+      before,
+      after: loc,
+    });
+    return loc;
+  });
+}
+
+app.post(
+  "/api/v1/locations",
+  auth,
+  can("locations:manage"),
+  async (req, res) => {
+    try {
+      res.json(await saveLocation(req, null, locationSchema.parse(req.body)));
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res.status(409).json({ error: "Kode lokasi sudah dipakai." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.put(
+  "/api/v1/locations/:id",
+  auth,
+  can("locations:manage"),
+  async (req, res) => {
+    try {
+      const data = locationSchema.partial().parse(req.body);
+      res.json(await saveLocation(req, req.params.id, data));
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res.status(409).json({ error: "Kode lokasi sudah dipakai." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/v1/locations/:id",
+  auth,
+  can("locations:manage"),
+  async (req, res) => {
+    try {
+      const loc = await prisma.location.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!loc) return res.status(404).json({ error: "Location not found" });
+      if (loc.isDefault)
+        return res
+          .status(400)
+          .json({ error: "Lokasi default tidak bisa dinonaktifkan." });
+      const left = await prisma.productStock.count({
+        where: { locationId: loc.id, qty: { not: 0 } },
+      });
+      if (left)
+        return res
+          .status(400)
+          .json({ error: "Masih ada stok di lokasi ini, transfer dulu." });
+      await auditedUpdate(
+        req,
+        "Location",
+        loc.id,
+        { isActive: false }, // soft delete (riwayat transaksi)
+        "DELETE"
+      );
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Stok per produk di satu lokasi (?all=1 termasuk yang 0)
+app.get(
+  "/api/v1/locations/:id/stock",
+  auth,
+  can("stock:read"),
+  async (req, res) => {
+    const all = req.query.all === "1";
+    const rows = await prisma.productStock.findMany({
+      where: {
+        locationId: req.params.id,
+        ...(all ? {} : { qty: { not: 0 } }),
+        product: { isActive: true },
+      },
       include: {
-        customer: {
-          select: { id: true, name: true, phone: true, address: true },
-        },
-        items: {
-          include: {
-            product: {
-              select: { id: true, name: true, unit: true, expiryDate: true },
-            },
-          },
-        },
-        payments: {
+        product: {
           select: {
             id: true,
-            date: true,
-            amount: true,
-            method: true,
-            refNo: true,
+            name: true,
+            category: true,
+            unit: true,
+            minStock: true,
           },
         },
       },
+      orderBy: { product: { name: "asc" } },
     });
-    if (!sale) return res.status(404).json({ error: "Sale not found" });
-
-    const items = sale.items.map((it) => ({
-      productId: it.productId,
-      productName: it.product?.name ?? "-",
-      unit: it.product?.unit ?? "-",
-      qty: it.qty,
-      unitPrice: it.unitPrice,
-      lineTotal: it.lineTotal,
-      expiryDate: it.product?.expiryDate ?? null,
-    }));
-    const paid = sale.payments.reduce((a, p) => a + p.amount, 0);
-
-    return res.json({
-      id: sale.id,
-      invoiceNo: sale.invoiceNo,
-      date: sale.date,
-      customer: sale.customer
-        ? {
-            id: sale.customer.id,
-            name: sale.customer.name,
-            phone: sale.customer.phone ?? null,
-            address: sale.customer.address ?? null,
-          }
-        : null,
-      note: sale.note ?? null,
-      grandTotal: sale.grandTotal,
-      amountPaid: paid,
-      paymentStatus: sale.paymentStatus,
-      items,
-      payments: sale.payments,
-    });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "Internal server error" });
+    res.json(
+      rows.map((r) => ({
+        productId: r.productId,
+        name: r.product.name,
+        category: r.product.category,
+        unit: r.product.unit,
+        qty: r.qty,
+        minStock: r.product.minStock,
+      }))
+    );
   }
-});
-
-/* ================= PAYMENTS ================= */
-// CREATE PAYMENT: admin only
-app.post("/api/v1/payments", auth, allowRoles("ADMIN"), async (req, res) => {
-  const schema = z.object({
-    saleId: z.string(),
-    amount: z.number().int().positive(),
-    method: z.enum(["Tunai", "Transfer", "QRIS"]),
-    refNo: z.string().optional().nullable(),
-  });
+);
 
-  try {
-    const payload = schema.parse(req.body);
-    const sale = await prisma.sale.findUnique({
-      where: { id: payload.saleId },
-      include: { payments: true },
+/**
+ * Transfer stok: per lot yang diambil (FEFO) di lokasi asal ditulis
+ * pasangan movement OUT (asal) & IN (tujuan, refId = transfer), lalu lot
+ * yang sama (no. lot, expiry, HPP) dibuat di lokasi tujuan.
+ */
+app.post(
+  "/api/v1/stock-transfers",
+  auth,
+  can("stock:transfer"),
+  async (req, res) => {
+    const schema = z.object({
+      fromLocationId: z.string(),
+      toLocationId: z.string(),
+      note: z.string().optional().nullable(),
+      lines: z
+        .array(
+          z.object({
+            productId: z.string(),
+            qty: z.number().int().positive(),
+            unit: z.string().optional().nullable(),
+          })
+        )
+        .min(1),
     });
-    if (!sale) return res.status(404).json({ error: "Sale not found" });
+    try {
+      const payload = schema.parse(req.body);
+      if (payload.fromLocationId === payload.toLocationId)
+        throw new Error("Lokasi asal dan tujuan sama.");
+      const from = await resolveLocation(prisma, payload.fromLocationId);
+      const to = await resolveLocation(prisma, payload.toLocationId);
+
+      const ids = Array.from(new Set(payload.lines.map((l) => l.productId)));
+      const products = await prisma.product.findMany({
+        where: { id: { in: ids } },
+        include: { units: true },
+      });
+      if (products.length !== ids.length)
+        throw new Error("Produk tidak ditemukan.");
+      const lines = payload.lines.map((l) => {
+        const p = products.find((pp) => pp.id === l.productId);
+        return { product: p, qty: l.qty * findUnit(p, l.unit).factor };
+      });
+
+      const userId = req.user?.sub || "admin";
+      const transfer = await prisma.$transaction(async (tx) => {
+        const transferNo = await nextDocNo(tx, "TRF");
+        const t = await tx.stockTransfer.create({
+          data: {
+            transferNo,
+            fromLocationId: from.id,
+            toLocationId: to.id,
+            note: payload.note ?? null,
+            userId,
+            lines: {
+              create: lines.map((l) => ({
+                productId: l.product.id,
+                qty: l.qty,
+              })),
+            },
+          },
+          include: { lines: true },
+        });
+
+        for (const { product: p, qty } of lines) {
+          const [stock] = await tx.$queryRaw`
+            SELECT qty FROM "ProductStock"
+            WHERE "productId" = ${p.id} AND "locationId" = ${from.id}
+            FOR UPDATE
+          `;
+          if ((stock?.qty ?? 0) < qty)
+            throw new Error(`Stok tidak cukup di ${from.name}: ${p.name}`);
+
+          const { allocations } = await consumeBatches(
+            tx,
+            p.id,
+            qty,
+            p.costPrice,
+            from.id
+          );
+          const source = await tx.stockBatch.findMany({
+            where: { id: { in: allocations.map((a) => a.batchId) } },
+          });
+          // sisa tanpa batch (data lama) dipindah sebagai lot baru
+          const moved = allocations.reduce((a, x) => a + x.qty, 0);
+          const parts = [
+            ...allocations.map((a) => ({
+              ...a,
+              batch: source.find((b) => b.id === a.batchId),
+            })),
+            ...(moved < qty
+              ? [{ qty: qty - moved, unitCost: p.costPrice, batch: null }]
+              : []),
+          ];
+
+          for (const part of parts) {
+            const common = {
+              productId: p.id,
+              qty: part.qty,
+              reason: "Transfer",
+              refId: t.id,
+              userId,
+              unitCost: part.unitCost,
+              note: transferNo,
+            };
+            await tx.stockMovement.create({
+              data: { ...common, type: "OUT", locationId: from.id },
+            });
+            const mvIn = await tx.stockMovement.create({
+              data: { ...common, type: "IN", locationId: to.id },
+            });
+            await createBatch(tx, {
+              productId: p.id,
+              locationId: to.id,
+              movementId: mvIn.id,
+              qty: part.qty,
+              unitCost: part.unitCost,
+              lotNo: part.batch?.lotNo ?? null,
+              expiryDate: part.batch?.expiryDate ?? null,
+              receivedAt: part.batch?.receivedAt,
+            });
+          }
+          await moveStock(tx, p.id, from.id, -qty);
+          await moveStock(tx, p.id, to.id, qty);
+        }
+        await audit(tx, req, {
+          action: "CREATE",
+          entity: "StockTransfer",
+          entityId: t.id,
+          after: t,
+        });
+        return t;
+      });
+      res.json(transfer);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.get(
+  "/api/v1/stock-transfers",
+  auth,
+  can("stock:read"),
+  async (req, res) => {
+    const locationId = req.query.locationId?.toString();
+    const list = await prisma.stockTransfer.findMany({
+      where: locationId
+        ? { OR: [{ fromLocationId: locationId }, { toLocationId: locationId }] }
+        : {},
+      include: {
+        fromLocation: { select: { id: true, code: true, name: true } },
+        toLocation: { select: { id: true, code: true, name: true } },
+        _count: { select: { lines: true } },
+      },
+      orderBy: { date: "desc" },
+    });
+    res.json(list);
+  }
+);
+
+app.get(
+  "/api/v1/stock-transfers/:id",
+  auth,
+  can("stock:read"),
+  async (req, res) => {
+    const t = await prisma.stockTransfer.findUnique({
+      where: { id: req.params.id },
+      include: {
+        fromLocation: { select: { id: true, code: true, name: true } },
+        toLocation: { select: { id: true, code: true, name: true } },
+        lines: true,
+      },
+    });
+    if (!t) return res.status(404).json({ error: "Transfer not found" });
+    const products = await prisma.product.findMany({
+      where: { id: { in: t.lines.map((l) => l.productId) } },
+      select: { id: true, name: true, unit: true },
+    });
+    res.json({
+      ...t,
+      lines: t.lines.map((l) => {
+        const p = products.find((x) => x.id === l.productId);
+        return { ...l, productName: p?.name ?? "-", unit: p?.unit ?? "-" };
+      }),
+    });
+  }
+);
+
+/* ================= STOK OPNAME ================= */
+// Buka sesi: snapshot stok sistem (semua produk aktif / per kategori / pilihan)
+app.post("/api/v1/stock-counts", auth, can("stock:count"), async (req, res) => {
+  const schema = z.object({
+    note: z.string().optional().nullable(),
+    category: z.enum(["Pupuk", "Obat"]).optional(),
+    productIds: z.array(z.string()).optional(),
+    locationId: z.string().optional().nullable(),
+  });
+  try {
+    const payload = schema.parse(req.body || {});
+    const loc = await resolveLocation(prisma, payload.locationId);
+    const products = await prisma.product.findMany({
+      where: {
+        isActive: true,
+        ...(payload.category ? { category: payload.category } : {}),
+        ...(payload.productIds ? { id: { in: payload.productIds } } : {}),
+      },
+      select: {
+        id: true,
+        costPrice: true,
+        stocks: { where: { locationId: loc.id }, select: { qty: true } },
+      },
+    });
+    if (!products.length)
+      return res.status(400).json({ error: "Tidak ada produk untuk dihitung" });
+
+    // nilai per unit = rata-rata batch tersisa, fallback costPrice
+    const batches = await prisma.stockBatch.findMany({
+      where: {
+        productId: { in: products.map((p) => p.id) },
+        locationId: loc.id,
+        qtyRemaining: { gt: 0 },
+      },
+      select: { productId: true, qtyRemaining: true, unitCost: true },
+    });
+    const avgCost = (p) => {
+      const bs = batches.filter((b) => b.productId === p.id);
+      const qty = bs.reduce((a, b) => a + b.qtyRemaining, 0);
+      const value = bs.reduce((a, b) => a + b.qtyRemaining * b.unitCost, 0);
+      return qty > 0 ? Math.round(value / qty) : p.costPrice;
+    };
+
+    const created = await prisma.$transaction(async (tx) => {
+      const countNo = await nextDocNo(tx, "SO");
+      const c = await tx.stockCount.create({
+        data: {
+          countNo,
+          locationId: loc.id,
+          note: payload.note ?? null,
+          openedBy: req.user?.sub || "admin",
+          lines: {
+            create: products.map((p) => ({
+              productId: p.id,
+              systemQty: p.stocks[0]?.qty ?? 0,
+              unitCost: avgCost(p),
+            })),
+          },
+        },
+        include: { lines: true },
+      });
+      const { lines, ...header } = c;
+      await audit(tx, req, {
+        action: "CREATE",
+        entity: "StockCount",
+        entityId: c.id,
+        after: { ...header, lineCount: lines.length },
+      });
+      return c;
+    });
+    res.json(created);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/api/v1/stock-counts", auth, can("stock:read"), async (req, res) => {
+  const status = req.query.status?.toString();
+  const locationId = req.query.locationId?.toString();
+  const list = await prisma.stockCount.findMany({
+    where: {
+      ...(status ? { status } : {}),
+      ...(locationId ? { locationId } : {}),
+    },
+    orderBy: { openedAt: "desc" },
+    include: { _count: { select: { lines: true } } },
+  });
+  res.json(list);
+});
+
+app.get(
+  "/api/v1/stock-counts/:id",
+  auth,
+  can("stock:read"),
+  async (req, res) => {
+    const count = await prisma.stockCount.findUnique({
+      where: { id: req.params.id },
+      include: {
+        lines: {
+          include: {
+            product: {
+              select: { id: true, name: true, category: true, unit: true },
+            },
+          },
+          orderBy: { product: { name: "asc" } },
+        },
+      },
+    });
+    if (!count) return res.status(404).json({ error: "Stock count not found" });
+    res.json(count);
+  }
+);
+
+// Input hasil hitung fisik (boleh berulang / sebagian)
+app.put(
+  "/api/v1/stock-counts/:id/lines",
+  auth,
+  can("stock:count"),
+  async (req, res) => {
+    const schema = z.object({
+      items: z
+        .array(
+          z.object({
+            productId: z.string(),
+            countedQty: z.number().int().nonnegative(),
+            note: z.string().optional().nullable(),
+          })
+        )
+        .min(1),
+    });
+    try {
+      const { items } = schema.parse(req.body);
+      const count = await prisma.stockCount.findUnique({
+        where: { id: req.params.id },
+        include: { lines: { select: { productId: true } } },
+      });
+      if (!count)
+        return res.status(404).json({ error: "Stock count not found" });
+      if (count.status !== "OPEN")
+        return res.status(400).json({ error: "Sesi opname sudah ditutup" });
+
+      const known = new Set(count.lines.map((l) => l.productId));
+      const unknown = items.find((i) => !known.has(i.productId));
+      if (unknown)
+        return res
+          .status(400)
+          .json({ error: `Produk ${unknown.productId} tidak ada di sesi ini` });
+
+      const now = new Date();
+      await prisma.$transaction(
+        items
+          .map((i) =>
+            prisma.stockCountLine.update({
+              where: {
+                countId_productId: {
+                  countId: count.id,
+                  productId: i.productId,
+                },
+              },
+              data: {
+                countedQty: i.countedQty,
+                countedBy: req.user?.sub || "admin",
+                countedAt: now,
+                ...(i.note !== undefined ? { note: i.note } : {}),
+              },
+            })
+          )
+          .concat(
+            audit(prisma, req, {
+              action: "COUNT",
+              entity: "StockCount",
+              entityId: count.id,
+              after: { items },
+            })
+          )
+      );
+      res.json({ ok: true, updated: items.length });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/**
+ * Mutasi stok (netto) per produk sejak sesi dibuka s/d baris itu dihitung.
+ * Selisih = countedQty - (systemQty + mutasi itu); selisih ditambahkan ke
+ * stok aktual, jadi mutasi setelah dihitung (penjualan, terima, transfer)
+ * tetap berlaku dan tidak terhitung dobel.
+ */
+async function movedUntilCounted(db, count) {
+  const rows = await db.$queryRaw`
+    SELECT l."productId",
+      SUM(CASE WHEN m.type = 'OUT' THEN -m.qty ELSE m.qty END)::int AS net
+    FROM "StockCountLine" l
+    JOIN "StockMovement" m
+      ON m."productId" = l."productId"
+     AND m."locationId" = ${count.locationId}
+     AND m.date > ${count.openedAt}
+     AND m.date <= l."countedAt"
+     AND NOT (m.reason = 'StockCount' AND m."refId" = ${count.id})
+    WHERE l."countId" = ${count.id} AND l."countedAt" IS NOT NULL
+    GROUP BY l."productId"
+  `;
+  return new Map(rows.map((r) => [r.productId, r.net ?? 0]));
+}
+
+const expectedAtCount = (line, moved) =>
+  line.systemQty + (moved.get(line.productId) ?? 0);
+
+// Finalisasi: tulis ADJUST untuk tiap selisih & update stok
+app.post(
+  "/api/v1/stock-counts/:id/finalize",
+  auth,
+  can("stock:count"),
+  async (req, res) => {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "StockCount" WHERE id = ${req.params.id} FOR UPDATE`;
+        const count = await tx.stockCount.findUnique({
+          where: { id: req.params.id },
+          include: { lines: true },
+        });
+        if (!count) throw new Error("Stock count not found");
+        if (count.status !== "OPEN")
+          throw new Error("Sesi opname sudah ditutup");
+
+        const userId = req.user?.sub || "admin";
+        const moved = await movedUntilCounted(tx, count);
+        let adjusted = 0;
+        for (const l of count.lines) {
+          if (l.countedQty == null) continue; // tidak dihitung = tidak diubah
+          const variance = l.countedQty - expectedAtCount(l, moved);
+          if (variance === 0) continue;
+
+          const mv = await tx.stockMovement.create({
+            data: {
+              productId: l.productId,
+              type: "ADJUST",
+              qty: variance,
+              reason: "StockCount",
+              refId: count.id,
+              locationId: count.locationId,
+              userId,
+              unitCost: l.unitCost,
+              note: count.countNo,
+            },
+          });
+          if (variance > 0) {
+            await createBatch(tx, {
+              productId: l.productId,
+              locationId: count.locationId,
+              movementId: mv.id,
+              qty: variance,
+              unitCost: l.unitCost,
+            });
+          } else {
+            await consumeBatches(
+              tx,
+              l.productId,
+              -variance,
+              l.unitCost,
+              count.locationId
+            );
+          }
+          await moveStock(tx, l.productId, count.locationId, variance);
+          adjusted++;
+        }
+
+        const done = await tx.stockCount.update({
+          where: { id: count.id },
+          data: {
+            status: "FINALIZED",
+            finalizedBy: userId,
+            finalizedAt: new Date(),
+          },
+        });
+        const { lines, ...before } = count;
+        await audit(tx, req, {
+          action: "FINALIZE",
+          entity: "StockCount",
+          entityId: count.id,
+          before,
+          after: done,
+          note: `${adjusted} penyesuaian`,
+        });
+        return { ...done, adjusted };
+      });
+      res.json(result);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.post(
+  "/api/v1/stock-counts/:id/cancel",
+  auth,
+  can("stock:count"),
+  async (req, res) => {
+    try {
+      const updated = await prisma.$transaction(async (tx) => {
+        const r = await tx.stockCount.updateMany({
+          where: { id: req.params.id, status: "OPEN" },
+          data: { status: "CANCELLED" },
+        });
+        if (r.count)
+          await audit(tx, req, {
+            action: "CANCEL",
+            entity: "StockCount",
+            entityId: req.params.id,
+            before: { status: "OPEN" },
+            after: { status: "CANCELLED" },
+          });
+        return r;
+      });
+      if (!updated.count)
+        return res.status(400).json({ error: "Sesi opname tidak terbuka" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Laporan selisih (dinilai pakai HPP), siapa & kapan menghitung
+app.get(
+  "/api/v1/stock-counts/:id/variance",
+  auth,
+  can("stock:read"),
+  async (req, res) => {
+    try {
+      const count = await prisma.stockCount.findUnique({
+        where: { id: req.params.id },
+        include: {
+          lines: {
+            include: {
+              product: {
+                select: { name: true, category: true, unit: true },
+              },
+            },
+          },
+        },
+      });
+      if (!count)
+        return res.status(404).json({ error: "Stock count not found" });
+
+      const userIds = Array.from(
+        new Set(
+          [
+            count.openedBy,
+            count.finalizedBy,
+            ...count.lines.map((l) => l.countedBy),
+          ].filter(Boolean)
+        )
+      );
+      const users = await prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, name: true, username: true },
+      });
+      const userName = (id) =>
+        id ? users.find((u) => u.id === id)?.name ?? id : null;
+
+      const moved = await movedUntilCounted(prisma, count);
+      const lines = count.lines
+        .filter((l) => l.countedQty != null)
+        .map((l) => {
+          const expectedQty = expectedAtCount(l, moved);
+          const variance = l.countedQty - expectedQty;
+          return {
+            productId: l.productId,
+            productName: l.product?.name ?? "-",
+            category: l.product?.category ?? "-",
+            unit: l.product?.unit ?? "-",
+            systemQty: l.systemQty,
+            movedQty: expectedQty - l.systemQty, // mutasi sebelum dihitung
+            expectedQty,
+            countedQty: l.countedQty,
+            variance,
+            unitCost: l.unitCost,
+            varianceValue: variance * l.unitCost,
+            countedBy: userName(l.countedBy),
+            countedAt: l.countedAt,
+            note: l.note ?? null,
+          };
+        })
+        .sort((a, b) => a.varianceValue - b.varianceValue);
+
+      const shrinkage = lines
+        .filter((l) => l.variance < 0)
+        .reduce((a, l) => a + l.varianceValue, 0);
+      const surplus = lines
+        .filter((l) => l.variance > 0)
+        .reduce((a, l) => a + l.varianceValue, 0);
+
+      res.json({
+        id: count.id,
+        countNo: count.countNo,
+        status: count.status,
+        openedBy: userName(count.openedBy),
+        openedAt: count.openedAt,
+        finalizedBy: userName(count.finalizedBy),
+        finalizedAt: count.finalizedAt,
+        summary: {
+          products: count.lines.length,
+          counted: lines.length,
+          notCounted: count.lines.length - lines.length,
+          withVariance: lines.filter((l) => l.variance !== 0).length,
+          shrinkageValue: shrinkage,
+          surplusValue: surplus,
+          netValue: shrinkage + surplus,
+        },
+        lines,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= CUSTOMERS ================= */
+// GET: viewer boleh
+app.get("/api/v1/customers", auth, can("customers:read"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ["createdAt", "name"],
+      defaultSort: "-createdAt",
+      defaultLimit: null,
+    });
+    const priceListId = req.query.priceListId?.toString();
+    const where = {
+      ...(list.q
+        ? { OR: [{ name: contains(list.q) }, { phone: contains(list.q) }] }
+        : {}),
+      ...(priceListId ? { priceListId } : {}),
+    };
+    const [total, rows] = await Promise.all([
+      prisma.customer.count({ where }),
+      prisma.customer.findMany({ where, ...pageArgs(list) }),
+    ]);
+    sendPage(res, rows, total, list);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// CREATE/UPDATE/DELETE: admin only
+// Dipakai POST /customers & import pelanggan (/imports/customers)
+const customerSchema = z.object({
+  name: z.string().min(1),
+  phone: z.string().optional().nullable(),
+  address: z.string().optional().nullable(),
+  notes: z.string().optional().nullable(),
+  creditLimit: z.number().int().nonnegative().optional().nullable(),
+  priceListId: z.string().optional().nullable(),
+});
+
+// Daftar harga & limit kredit = syarat dagang, butuh prices:edit
+const CUSTOMER_TERMS = ["priceListId", "creditLimit"];
+const termsChanged = (data, current = {}) =>
+  CUSTOMER_TERMS.some(
+    (f) => f in data && (data[f] ?? null) !== (current[f] ?? null)
+  );
+
+app.post("/api/v1/customers", auth, can("customers:edit"), async (req, res) => {
+  try {
+    const data = customerSchema.parse(req.body);
+    if (termsChanged(data) && !(await userCan(req, "prices:edit")))
+      return res
+        .status(403)
+        .json({ error: "Forbidden", missing: ["prices:edit"] });
+    const created = await auditedCreate(req, "Customer", data);
+    res.json(created);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.put(
+  "/api/v1/customers/:id",
+  auth,
+  can("customers:edit"),
+  async (req, res) => {
+    try {
+      const data = customerSchema.partial().parse(req.body);
+      const current = await prisma.customer.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!current)
+        return res.status(404).json({ error: "Customer not found" });
+      if (termsChanged(data, current) && !(await userCan(req, "prices:edit")))
+        return res
+          .status(403)
+          .json({ error: "Forbidden", missing: ["prices:edit"] });
+      const updated = await auditedUpdate(req, "Customer", req.params.id, data);
+      res.json(updated);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/v1/customers/:id",
+  auth,
+  can("customers:edit"),
+  async (req, res) => {
+    try {
+      await auditedDelete(req, "Customer", req.params.id);
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Sisa piutang pelanggan (invoice belum lunas, bukan void)
+async function customerOutstanding(db, customerId) {
+  const agg = await db.sale.aggregate({
+    where: {
+      customerId,
+      voidedAt: null,
+      paymentStatus: { in: ["Piutang", "Sebagian"] },
+    },
+    _sum: { grandTotal: true, returnedTotal: true, amountPaid: true },
+  });
+  return (
+    (agg._sum.grandTotal || 0) -
+    (agg._sum.returnedTotal || 0) -
+    (agg._sum.amountPaid || 0)
+  );
+}
+
+// KARTU PIUTANG: penjualan, retur & pembayaran dengan saldo berjalan
+app.get(
+  "/api/v1/customers/:id/ledger",
+  auth,
+  can("customers:read"),
+  async (req, res) => {
+    try {
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      const fromStr = (req.query.from || "").toString().trim();
+      const toStr = (req.query.to || "").toString().trim();
+      const from = fromStr ? new Date(`${fromStr}T00:00:00.000Z`) : null;
+      const to = toStr ? new Date(`${toStr}T23:59:59.999Z`) : null;
+
+      const sales = await prisma.sale.findMany({
+        where: { customerId: customer.id },
+        include: { payments: true, returns: true },
+      });
+
+      // debit = menambah piutang, credit = mengurangi
+      const entries = [];
+      for (const s of sales) {
+        entries.push({
+          date: s.date,
+          type: "SALE",
+          ref: s.invoiceNo,
+          saleId: s.id,
+          debit: s.grandTotal,
+          credit: 0,
+        });
+        for (const r of s.returns) {
+          entries.push({
+            date: r.date,
+            type: r.kind,
+            ref: r.returnNo,
+            saleId: s.id,
+            debit: 0,
+            credit: r.total,
+          });
+        }
+        for (const p of s.payments) {
+          entries.push({
+            date: p.date,
+            type: p.amount < 0 ? "REFUND" : "PAYMENT",
+            ref: p.refNo || s.invoiceNo,
+            saleId: s.id,
+            method: p.method,
+            debit: p.amount < 0 ? -p.amount : 0,
+            credit: p.amount > 0 ? p.amount : 0,
+          });
+        }
+      }
+      entries.sort((a, b) => a.date - b.date);
+
+      let balance = 0;
+      let opening = 0;
+      const rows = [];
+      for (const e of entries) {
+        balance += e.debit - e.credit;
+        if (from && e.date < from) {
+          opening = balance;
+          continue;
+        }
+        if (to && e.date > to) continue;
+        rows.push({ ...e, balance });
+      }
+
+      const outstanding = await customerOutstanding(prisma, customer.id);
+      res.json({
+        customer: {
+          id: customer.id,
+          name: customer.name,
+          phone: customer.phone ?? null,
+          creditLimit: customer.creditLimit ?? null,
+        },
+        range: { from: fromStr || null, to: toStr || null },
+        openingBalance: opening,
+        closingBalance: rows.length ? rows[rows.length - 1].balance : opening,
+        totalDebit: rows.reduce((a, r) => a + r.debit, 0),
+        totalCredit: rows.reduce((a, r) => a + r.credit, 0),
+        outstanding,
+        creditAvailable:
+          customer.creditLimit != null
+            ? Math.max(0, customer.creditLimit - outstanding)
+            : null,
+        entries: rows,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= DAFTAR HARGA ================= */
+// Urutan: daftar harga pelanggan -> daftar harga default -> Product.sellPrice.
+// Dalam satu daftar, potongan qty dengan minQty terbesar yang <= qty dipakai
+// (qty = total satuan dasar produk itu dalam transaksi).
+async function priceResolver(db, customerId, productIds) {
+  const customer = customerId
+    ? await db.customer.findUnique({
+        where: { id: customerId },
+        select: { priceListId: true },
+      })
+    : null;
+  const own = customer?.priceListId ?? null;
+  const lists = await db.priceList.findMany({
+    where: {
+      isActive: true,
+      OR: [{ isDefault: true }, ...(own ? [{ id: own }] : [])],
+    },
+    include: { items: { where: { productId: { in: productIds } } } },
+  });
+  const order = [
+    lists.find((l) => l.id === own),
+    lists.find((l) => l.isDefault),
+  ].filter(Boolean);
+
+  return (product, qty) => {
+    for (const l of order) {
+      const tier = l.items
+        .filter((i) => i.productId === product.id && i.minQty <= qty)
+        .sort((a, b) => b.minQty - a.minQty)[0];
+      if (tier)
+        return {
+          price: tier.price,
+          priceListId: l.id,
+          priceListCode: l.code,
+          minQty: tier.minQty,
+        };
+    }
+    return {
+      price: product.sellPrice,
+      priceListId: null,
+      priceListCode: null,
+      minQty: null,
+    };
+  };
+}
+
+const priceListItemSchema = z.object({
+  productId: z.string(),
+  minQty: z.number().int().positive().default(1),
+  price: z.number().int().nonnegative(),
+});
+
+const priceListSchema = z.object({
+  code: z.string().min(1),
+  name: z.string().min(1),
+  isDefault: z.boolean().optional(),
+  isActive: z.boolean().optional(),
+  note: z.string().optional().nullable(),
+});
+
+// Hanya satu daftar harga default
+async function unsetOtherDefaults(tx, id) {
+  await tx.priceList.updateMany({
+    where: { isDefault: true, NOT: { id } },
+    data: { isDefault: false },
+  });
+}
+
+app.get("/api/v1/price-lists", auth, can("products:read"), async (req, res) => {
+  const all = req.query.all === "1";
+  const lists = await prisma.priceList.findMany({
+    where: all ? {} : { isActive: true },
+    include: { _count: { select: { items: true, customers: true } } },
+    orderBy: [{ isDefault: "desc" }, { name: "asc" }],
+  });
+  res.json(lists);
+});
+
+app.get(
+  "/api/v1/price-lists/:id",
+  auth,
+  can("products:read"),
+  async (req, res) => {
+    const list = await prisma.priceList.findUnique({
+      where: { id: req.params.id },
+      include: {
+        items: {
+          include: {
+            product: {
+              select: { id: true, name: true, unit: true, sellPrice: true },
+            },
+          },
+          orderBy: [{ productId: "asc" }, { minQty: "asc" }],
+        },
+        customers: { select: { id: true, name: true } },
+      },
+    });
+    if (!list) return res.status(404).json({ error: "Price list not found" });
+    res.json(list);
+  }
+);
+
+app.post("/api/v1/price-lists", auth, can("prices:edit"), async (req, res) => {
+  const schema = priceListSchema.extend({
+    items: z.array(priceListItemSchema).default([]),
+  });
+  try {
+    const { items, ...data } = schema.parse(req.body);
+    const created = await prisma.$transaction(async (tx) => {
+      const list = await tx.priceList.create({
+        data: { ...data, items: { create: items } },
+        include: { items: true },
+      });
+      if (list.isDefault) await unsetOtherDefaults(tx, list.id);
+      await audit(tx, req, {
+        action: "CREATE",
+        entity: "PriceList",
+        entityId: list.id,
+        after: list,
+      });
+      return list;
+    });
+    res.json(created);
+  } catch (e) {
+    if (e?.code === "P2002")
+      return res
+        .status(409)
+        .json({ error: "Kode daftar harga / potongan qty duplikat." });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.put(
+  "/api/v1/price-lists/:id",
+  auth,
+  can("prices:edit"),
+  async (req, res) => {
+    try {
+      const data = priceListSchema.partial().parse(req.body);
+      const updated = await prisma.$transaction(async (tx) => {
+        const before = await tx.priceList.findUnique({
+          where: { id: req.params.id },
+        });
+        if (!before) throw new Error("Price list not found");
+        const list = await tx.priceList.update({
+          where: { id: req.params.id },
+          data,
+        });
+        if (list.isDefault) await unsetOtherDefaults(tx, list.id);
+        await audit(tx, req, {
+          action: "UPDATE",
+          entity: "PriceList",
+          entityId: list.id,
+          before,
+          after: list,
+        });
+        return list;
+      });
+      res.json(updated);
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res.status(409).json({ error: "Kode daftar harga duplikat." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Ganti seluruh harga & potongan qty dalam daftar
+app.put(
+  "/api/v1/price-lists/:id/items",
+  auth,
+  can("prices:edit"),
+  async (req, res) => {
+    const schema = z.object({ items: z.array(priceListItemSchema) });
+    try {
+      const { items } = schema.parse(req.body);
+      const result = await prisma.$transaction(async (tx) => {
+        const before = await tx.priceListItem.findMany({
+          where: { priceListId: req.params.id },
+        });
+        await tx.priceListItem.deleteMany({
+          where: { priceListId: req.params.id },
+        });
+        await tx.priceListItem.createMany({
+          data: items.map((i) => ({ ...i, priceListId: req.params.id })),
+        });
+        const list = await tx.priceList.findUnique({
+          where: { id: req.params.id },
+          include: { items: { orderBy: { minQty: "asc" } } },
+        });
+        if (list) {
+          // bandingkan isi harga saja (id item baru selalu berbeda)
+          const prices = (rows) =>
+            rows
+              .map(({ productId, minQty, price }) => ({
+                productId,
+                minQty,
+                price,
+              }))
+              .sort(
+                (a, b) =>
+                  a.productId.localeCompare(b.productId) || a.minQty - b.minQty
+              );
+          await audit(tx, req, {
+            action: "UPDATE",
+            entity: "PriceList",
+            entityId: list.id,
+            before: { items: prices(before) },
+            after: { items: prices(list.items) },
+          });
+        }
+        return list;
+      });
+      if (!result)
+        return res.status(404).json({ error: "Price list not found" });
+      res.json(result);
+    } catch (e) {
+      if (e?.code === "P2002")
+        return res
+          .status(409)
+          .json({ error: "Potongan qty duplikat untuk produk yang sama." });
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/v1/price-lists/:id",
+  auth,
+  can("prices:edit"),
+  async (req, res) => {
+    try {
+      await auditedUpdate(
+        req,
+        "PriceList",
+        req.params.id,
+        { isActive: false, isDefault: false }, // soft delete (riwayat jual)
+        "DELETE"
+      );
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Cek harga efektif untuk kasir: ?customerId=&qty=
+app.get(
+  "/api/v1/products/:id/price",
+  auth,
+  can("products:read"),
+  async (req, res) => {
+    try {
+      const qty = req.query.qty ? Number(req.query.qty) : 1;
+      if (!Number.isInteger(qty) || qty <= 0)
+        return res.status(400).json({ error: "qty harus bilangan bulat > 0" });
+      const product = await prisma.product.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!product) return res.status(404).json({ error: "Product not found" });
+      const customerId = (req.query.customerId || "").toString() || null;
+      const resolve = await priceResolver(prisma, customerId, [product.id]);
+      const r = resolve(product, qty);
+      res.json({
+        productId: product.id,
+        qty,
+        sellPrice: product.sellPrice,
+        ...r,
+        lineTotal: r.price * qty,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= SUPPLIERS ================= */
+app.get("/api/v1/suppliers", auth, can("purchases:read"), async (req, res) => {
+  const all = req.query.all === "1";
+  const suppliers = await prisma.supplier.findMany({
+    where: all ? {} : { isActive: true },
+    orderBy: { name: "asc" },
+  });
+  res.json(suppliers);
+});
+
+const supplierSchema = z.object({
+  name: z.string().min(1),
+  phone: z.string().optional().nullable(),
+  address: z.string().optional().nullable(),
+  notes: z.string().optional().nullable(),
+  isActive: z.boolean().optional(),
+});
+
+app.post(
+  "/api/v1/suppliers",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    try {
+      const created = await auditedCreate(
+        req,
+        "Supplier",
+        supplierSchema.parse(req.body)
+      );
+      res.json(created);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.put(
+  "/api/v1/suppliers/:id",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    try {
+      const updated = await auditedUpdate(
+        req,
+        "Supplier",
+        req.params.id,
+        supplierSchema.partial().parse(req.body)
+      );
+      res.json(updated);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/v1/suppliers/:id",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    try {
+      await auditedUpdate(
+        req,
+        "Supplier",
+        req.params.id,
+        { isActive: false }, // soft delete (masih dipakai PO/penerimaan)
+        "DELETE"
+      );
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= PURCHASE ORDER & PENERIMAAN BARANG ================= */
+const calcPoStatus = (lines) =>
+  lines.every((l) => l.receivedQty >= l.qty)
+    ? "RECEIVED"
+    : lines.some((l) => l.receivedQty > 0)
+    ? "PARTIAL"
+    : "OPEN";
+
+// Tagihan supplier: tempo default PAYABLE_TERM_DAYS (30 hari)
+const PAYABLE_TERM_DAYS = Number(process.env.PAYABLE_TERM_DAYS || 30);
+const calcBillStatus = (paid, total) =>
+  paid >= total ? "Lunas" : paid > 0 ? "Sebagian" : "Belum";
+
+const billOptionSchema = z.object({
+  dueDate: z.string().optional().nullable(),
+  termDays: z.number().int().nonnegative().optional(),
+  supplierInvoiceNo: z.string().optional().nullable(),
+  note: z.string().optional().nullable(),
+});
+
+/**
+ * Buat tagihan hutang dari 1+ penerimaan barang (supplier yang sama,
+ * belum ditagihkan). Total = jumlah nilai penerimaan.
+ */
+async function createPurchaseBill(
+  tx,
+  { receiptIds, dueDate, termDays, supplierInvoiceNo, note, userId }
+) {
+  const receipts = await tx.goodsReceipt.findMany({
+    where: { id: { in: receiptIds } },
+  });
+  if (receipts.length !== receiptIds.length)
+    throw new Error("Penerimaan barang tidak ditemukan.");
+  if (receipts.some((r) => r.billId))
+    throw new Error("Penerimaan sudah punya tagihan.");
+  const supplierIds = new Set(receipts.map((r) => r.supplierId));
+  if (supplierIds.size !== 1)
+    throw new Error("Semua penerimaan harus dari supplier yang sama.");
+
+  const billDate = new Date();
+  const due = dueDate
+    ? new Date(dueDate)
+    : new Date(
+        billDate.getTime() +
+          (termDays ?? PAYABLE_TERM_DAYS) * 24 * 60 * 60 * 1000
+      );
+  const total = receipts.reduce((a, r) => a + r.total, 0);
+  const billNo = await nextDocNo(tx, "BILL");
+
+  const bill = await tx.purchaseBill.create({
+    data: {
+      billNo,
+      supplierId: receipts[0].supplierId,
+      supplierInvoiceNo: supplierInvoiceNo ?? null,
+      billDate,
+      dueDate: due,
+      total,
+      paymentStatus: calcBillStatus(0, total),
+      note: note ?? null,
+      userId,
+    },
+  });
+  await tx.goodsReceipt.updateMany({
+    where: { id: { in: receiptIds } },
+    data: { billId: bill.id },
+  });
+  return bill;
+}
+
+/**
+ * Terima barang dalam 1 transaksi: buat GoodsReceipt, movement IN
+ * (refId = receipt) di lokasi penerima, batch/lot HPP, dan update
+ * receivedQty PO.
+ * lines: [{ productId, qty, unitCost, poLineId?, lotNo?, expiryDate? }]
+ */
+async function receiveGoods(
+  tx,
+  { supplierId, poId, locationId, lines, note, userId }
+) {
+  const receiptNo = await nextDocNo(tx, "GRN");
+  const receipt = await tx.goodsReceipt.create({
+    data: {
+      receiptNo,
+      supplierId,
+      poId: poId ?? null,
+      locationId,
+      note: note ?? null,
+      userId,
+      total: lines.reduce((a, l) => a + l.qty * l.unitCost, 0),
+    },
+  });
+
+  for (const l of lines) {
+    const expiryDate = l.expiryDate ? new Date(l.expiryDate) : null;
+    await moveStock(tx, l.productId, locationId, l.qty);
+    const mv = await tx.stockMovement.create({
+      data: {
+        productId: l.productId,
+        type: "IN",
+        qty: l.qty,
+        reason: "StockIn",
+        refId: receipt.id,
+        locationId,
+        userId,
+        unitCost: l.unitCost,
+        note: receiptNo,
+      },
+    });
+    await createBatch(tx, {
+      productId: l.productId,
+      locationId,
+      movementId: mv.id,
+      qty: l.qty,
+      unitCost: l.unitCost,
+      lotNo: l.lotNo || null,
+      expiryDate,
+    });
+    await tx.goodsReceiptLine.create({
+      data: {
+        receiptId: receipt.id,
+        poLineId: l.poLineId ?? null,
+        productId: l.productId,
+        qty: l.qty,
+        unitCost: l.unitCost,
+        lotNo: l.lotNo || null,
+        expiryDate,
+        movementId: mv.id,
+      },
+    });
+    if (l.poLineId) {
+      await tx.purchaseOrderLine.update({
+        where: { id: l.poLineId },
+        data: { receivedQty: { increment: l.qty } },
+      });
+    }
+  }
+
+  if (poId) {
+    const poLines = await tx.purchaseOrderLine.findMany({ where: { poId } });
+    await tx.purchaseOrder.update({
+      where: { id: poId },
+      data: { status: calcPoStatus(poLines) },
+    });
+  }
+
+  return tx.goodsReceipt.findUnique({
+    where: { id: receipt.id },
+    include: { lines: true },
+  });
+}
+
+app.get(
+  "/api/v1/purchase-orders",
+  auth,
+  can("purchases:read"),
+  async (req, res) => {
+    const status = req.query.status?.toString();
+    const supplierId = req.query.supplierId?.toString();
+    const where = {
+      ...(status
+        ? status === "outstanding"
+          ? { status: { in: ["OPEN", "PARTIAL"] } }
+          : { status }
+        : {}),
+      ...(supplierId ? { supplierId } : {}),
+    };
+    const list = await prisma.purchaseOrder.findMany({
+      where,
+      include: { supplier: { select: { id: true, name: true } }, lines: true },
+      orderBy: { date: "desc" },
+    });
+    res.json(
+      list.map((po) => ({
+        ...po,
+        total: po.lines.reduce((a, l) => a + l.qty * l.unitCost, 0),
+        outstandingQty: po.lines.reduce(
+          (a, l) => a + Math.max(0, l.qty - l.receivedQty),
+          0
+        ),
+      }))
+    );
+  }
+);
+
+app.get(
+  "/api/v1/purchase-orders/:id",
+  auth,
+  can("purchases:read"),
+  async (req, res) => {
+    const po = await prisma.purchaseOrder.findUnique({
+      where: { id: req.params.id },
+      include: {
+        supplier: true,
+        lines: {
+          include: {
+            product: { select: { id: true, name: true, unit: true } },
+          },
+        },
+        receipts: { include: { lines: true }, orderBy: { date: "asc" } },
+      },
+    });
+    if (!po) return res.status(404).json({ error: "PO not found" });
+    res.json(po);
+  }
+);
+
+app.post(
+  "/api/v1/purchase-orders",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    const schema = z.object({
+      supplierId: z.string(),
+      expectedAt: z.string().optional().nullable(),
+      note: z.string().optional().nullable(),
+      lines: z
+        .array(
+          z.object({
+            productId: z.string(),
+            qty: z.number().int().positive(),
+            unitCost: z.number().int().nonnegative(),
+          })
+        )
+        .min(1),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const supplier = await prisma.supplier.findUnique({
+        where: { id: payload.supplierId },
+      });
+      if (!supplier)
+        return res.status(404).json({ error: "Supplier tidak ditemukan" });
+      const ids = Array.from(new Set(payload.lines.map((l) => l.productId)));
+      const found = await prisma.product.count({ where: { id: { in: ids } } });
+      if (found !== ids.length)
+        return res.status(400).json({ error: "Produk tidak ditemukan." });
+
+      const po = await prisma.$transaction(async (tx) => {
+        const poNo = await nextDocNo(tx, "PO");
+        const created = await tx.purchaseOrder.create({
+          data: {
+            poNo,
+            supplierId: payload.supplierId,
+            expectedAt: payload.expectedAt
+              ? new Date(payload.expectedAt)
+              : null,
+            note: payload.note ?? null,
+            userId: req.user?.sub || "admin",
+            lines: { create: payload.lines },
+          },
+          include: { lines: true },
+        });
+        await audit(tx, req, {
+          action: "CREATE",
+          entity: "PurchaseOrder",
+          entityId: created.id,
+          after: created,
+        });
+        return created;
+      });
+      res.json(po);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+app.post(
+  "/api/v1/purchase-orders/:id/cancel",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    try {
+      const updated = await prisma.$transaction(async (tx) => {
+        const r = await tx.purchaseOrder.updateMany({
+          where: { id: req.params.id, status: "OPEN" },
+          data: { status: "CANCELLED" },
+        });
+        if (r.count)
+          await audit(tx, req, {
+            action: "CANCEL",
+            entity: "PurchaseOrder",
+            entityId: req.params.id,
+            before: { status: "OPEN" },
+            after: { status: "CANCELLED" },
+          });
+        return r;
+      });
+      if (!updated.count)
+        return res
+          .status(400)
+          .json({ error: "Hanya PO yang belum diterima bisa dibatalkan" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Terima PO (semua sisa / sebagian per baris) dalam 1 transaksi
+app.post(
+  "/api/v1/purchase-orders/:id/receive",
+  auth,
+  can("stock:in"),
+  async (req, res) => {
+    const schema = z.object({
+      locationId: z.string().optional().nullable(),
+      note: z.string().optional().nullable(),
+      // opsional: langsung buat tagihan hutang untuk penerimaan ini
+      bill: billOptionSchema.optional(),
+      // kosong = terima semua sisa PO dengan harga sepakat
+      lines: z
+        .array(
+          z.object({
+            poLineId: z.string(),
+            qty: z.number().int().positive(),
+            unitCost: z.number().int().nonnegative().optional(),
+            lotNo: z.string().optional().nullable(),
+            expiryDate: z.string().optional().nullable(),
+          })
+        )
+        .optional(),
+    });
+    try {
+      const payload = schema.parse(req.body || {});
+      const loc = await resolveLocation(prisma, payload.locationId);
+      const receipt = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "PurchaseOrder" WHERE id = ${req.params.id} FOR UPDATE`;
+        const po = await tx.purchaseOrder.findUnique({
+          where: { id: req.params.id },
+          include: { lines: true },
+        });
+        if (!po) throw new Error("PO not found");
+        if (!["OPEN", "PARTIAL"].includes(po.status))
+          throw new Error(`PO berstatus ${po.status}, tidak bisa diterima`);
+
+        const wanted =
+          payload.lines ??
+          po.lines
+            .map((l) => ({ poLineId: l.id, qty: l.qty - l.receivedQty }))
+            .filter((l) => l.qty > 0);
+
+        // 1 baris PO boleh diterima dalam beberapa lot: sisa dicek per total
+        const totals = new Map();
+        for (const w of wanted)
+          totals.set(w.poLineId, (totals.get(w.poLineId) || 0) + w.qty);
+        for (const [poLineId, qty] of totals) {
+          const pl = po.lines.find((l) => l.id === poLineId);
+          if (!pl) throw new Error("Baris PO tidak ditemukan.");
+          const left = pl.qty - pl.receivedQty;
+          if (qty > left)
+            throw new Error(`Qty melebihi sisa PO (${left}) untuk ${pl.id}`);
+        }
+
+        const lines = wanted.map((w) => {
+          const pl = po.lines.find((l) => l.id === w.poLineId);
+          return {
+            poLineId: pl.id,
+            productId: pl.productId,
+            qty: w.qty,
+            unitCost: w.unitCost ?? pl.unitCost,
+            lotNo: w.lotNo,
+            expiryDate: w.expiryDate,
+          };
+        });
+        if (!lines.length) throw new Error("Tidak ada barang untuk diterima.");
+
+        const receipt = await receiveGoods(tx, {
+          supplierId: po.supplierId,
+          poId: po.id,
+          locationId: loc.id,
+          lines,
+          note: payload.note,
+          userId: req.user?.sub || "admin",
+        });
+        await audit(tx, req, {
+          action: "RECEIVE",
+          entity: "GoodsReceipt",
+          entityId: receipt.id,
+          after: receipt,
+          note: po.poNo,
+        });
+        if (!payload.bill) return receipt;
+        const bill = await createPurchaseBill(tx, {
+          ...payload.bill,
+          receiptIds: [receipt.id],
+          userId: req.user?.sub || "admin",
+        });
+        await audit(tx, req, {
+          action: "CREATE",
+          entity: "PurchaseBill",
+          entityId: bill.id,
+          after: bill,
+        });
+        return { ...receipt, billId: bill.id, bill };
+      });
+      res.json(receipt);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Penerimaan langsung tanpa PO (tetap tercatat per supplier)
+app.post("/api/v1/goods-receipts", auth, can("stock:in"), async (req, res) => {
+  const schema = z.object({
+    supplierId: z.string(),
+    locationId: z.string().optional().nullable(),
+    note: z.string().optional().nullable(),
+    // opsional: langsung buat tagihan hutang untuk penerimaan ini
+    bill: billOptionSchema.optional(),
+    lines: z
+      .array(
+        z.object({
+          productId: z.string(),
+          qty: z.number().int().positive(),
+          unitCost: z.number().int().nonnegative(),
+          lotNo: z.string().optional().nullable(),
+          expiryDate: z.string().optional().nullable(),
+        })
+      )
+      .min(1),
+  });
+  try {
+    const payload = schema.parse(req.body);
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: payload.supplierId },
+    });
+    if (!supplier)
+      return res.status(404).json({ error: "Supplier tidak ditemukan" });
+    const ids = Array.from(new Set(payload.lines.map((l) => l.productId)));
+    const found = await prisma.product.count({ where: { id: { in: ids } } });
+    if (found !== ids.length)
+      return res.status(400).json({ error: "Produk tidak ditemukan." });
+    const loc = await resolveLocation(prisma, payload.locationId);
+
+    const receipt = await prisma.$transaction(async (tx) => {
+      const r = await receiveGoods(tx, {
+        supplierId: payload.supplierId,
+        locationId: loc.id,
+        lines: payload.lines,
+        note: payload.note,
+        userId: req.user?.sub || "admin",
+      });
+      await audit(tx, req, {
+        action: "RECEIVE",
+        entity: "GoodsReceipt",
+        entityId: r.id,
+        after: r,
+      });
+      if (!payload.bill) return r;
+      const bill = await createPurchaseBill(tx, {
+        ...payload.bill,
+        receiptIds: [r.id],
+        userId: req.user?.sub || "admin",
+      });
+      await audit(tx, req, {
+        action: "CREATE",
+        entity: "PurchaseBill",
+        entityId: bill.id,
+        after: bill,
+      });
+      return { ...r, billId: bill.id, bill };
+    });
+    res.json(receipt);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get(
+  "/api/v1/goods-receipts",
+  auth,
+  can("purchases:read"),
+  async (req, res) => {
+    const supplierId = req.query.supplierId?.toString();
+    const list = await prisma.goodsReceipt.findMany({
+      where: supplierId ? { supplierId } : {},
+      include: {
+        supplier: { select: { id: true, name: true } },
+        po: { select: { id: true, poNo: true } },
+      },
+      orderBy: { date: "desc" },
+    });
+    res.json(list);
+  }
+);
+
+app.get(
+  "/api/v1/goods-receipts/:id",
+  auth,
+  can("purchases:read"),
+  async (req, res) => {
+    const receipt = await prisma.goodsReceipt.findUnique({
+      where: { id: req.params.id },
+      include: {
+        supplier: true,
+        po: { select: { id: true, poNo: true } },
+        lines: {
+          include: {
+            product: { select: { id: true, name: true, unit: true } },
+          },
+        },
+      },
+    });
+    if (!receipt) return res.status(404).json({ error: "Receipt not found" });
+    res.json(receipt);
+  }
+);
+
+/* ================= HUTANG SUPPLIER ================= */
+app.get(
+  "/api/v1/purchase-bills",
+  auth,
+  can("purchases:read"),
+  async (req, res) => {
+    const status = req.query.status?.toString();
+    const supplierId = req.query.supplierId?.toString();
+    const where = {
+      ...(status
+        ? status === "open"
+          ? { paymentStatus: { in: ["Belum", "Sebagian"] } }
+          : { paymentStatus: status }
+        : {}),
+      ...(supplierId ? { supplierId } : {}),
+    };
+    const list = await prisma.purchaseBill.findMany({
+      where,
+      include: { supplier: { select: { id: true, name: true } } },
+      orderBy: { dueDate: "asc" },
+    });
+    res.json(list);
+  }
+);
+
+app.get(
+  "/api/v1/purchase-bills/:id",
+  auth,
+  can("purchases:read"),
+  async (req, res) => {
+    const bill = await prisma.purchaseBill.findUnique({
+      where: { id: req.params.id },
+      include: {
+        supplier: true,
+        receipts: { include: { lines: true } },
+        payments: { orderBy: { date: "asc" } },
+      },
+    });
+    if (!bill) return res.status(404).json({ error: "Bill not found" });
+    res.json({ ...bill, due: bill.total - bill.amountPaid });
+  }
+);
+
+// Buat tagihan dari penerimaan barang yang belum ditagihkan
+app.post(
+  "/api/v1/purchase-bills",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    const schema = billOptionSchema.extend({
+      receiptIds: z.array(z.string()).min(1),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const bill = await prisma.$transaction(async (tx) => {
+        const b = await createPurchaseBill(tx, {
+          ...payload,
+          userId: req.user?.sub || "admin",
+        });
+        await audit(tx, req, {
+          action: "CREATE",
+          entity: "PurchaseBill",
+          entityId: b.id,
+          after: b,
+        });
+        return b;
+      });
+      res.json(bill);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Bayar hutang (boleh sebagian)
+app.post(
+  "/api/v1/purchase-bills/:id/payments",
+  auth,
+  can("purchases:manage"),
+  async (req, res) => {
+    const schema = z.object({
+      amount: z.number().int().positive(),
+      method: z.enum(["Tunai", "Transfer", "QRIS"]),
+      refNo: z.string().optional().nullable(),
+      date: z.string().optional().nullable(),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const saved = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "PurchaseBill" WHERE id = ${req.params.id} FOR UPDATE`;
+        const bill = await tx.purchaseBill.findUnique({
+          where: { id: req.params.id },
+        });
+        if (!bill) throw new Error("Bill not found");
+        const due = bill.total - bill.amountPaid;
+        if (payload.amount > due)
+          throw new Error("Nominal melebihi sisa hutang");
+
+        const pay = await tx.supplierPayment.create({
+          data: {
+            billId: bill.id,
+            amount: payload.amount,
+            method: payload.method,
+            refNo: payload.refNo ?? null,
+            date: payload.date ? new Date(payload.date) : new Date(),
+            userId: req.user?.sub || "admin",
+          },
+        });
+        const amountPaid = bill.amountPaid + payload.amount;
+        const after = await tx.purchaseBill.update({
+          where: { id: bill.id },
+          data: {
+            amountPaid,
+            paymentStatus: calcBillStatus(amountPaid, bill.total),
+          },
+        });
+        await audit(tx, req, {
+          action: "PAYMENT",
+          entity: "PurchaseBill",
+          entityId: bill.id,
+          before: bill,
+          after,
+          note: `${pay.method} ${pay.amount}`,
+        });
+        return pay;
+      });
+      res.json(saved);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= SALES / POS ================= */
+const calcStatus = (paid, total) =>
+  paid >= total ? "Lunas" : paid > 0 ? "Sebagian" : "Piutang";
+
+const PPN_RATE = Number(process.env.PPN_RATE || 11);
+// Margin minimum (% di atas HPP) untuk harga override/diskon
+const MIN_MARGIN_PCT = Number(process.env.MIN_MARGIN_PCT || 0);
+// Diskon (baris + bagian diskon invoice, % dari harga daftar) di atas ini
+// butuh izin sales:price-override
+const MAX_DISCOUNT_PCT = Number(process.env.MAX_DISCOUNT_PCT || 0);
+
+const discountSchema = z
+  .object({
+    type: z.enum(["PERCENT", "AMOUNT"]),
+    value: z.number().nonnegative(),
+  })
+  .refine((d) => d.type === "AMOUNT" || d.value <= 100, {
+    message: "Diskon persen maksimal 100",
+  })
+  .refine((d) => d.type === "PERCENT" || Number.isInteger(d.value), {
+    message: "Diskon nominal harus bilangan bulat",
+  });
+
+const discountOf = (base, d) =>
+  !d ? 0 : d.type === "PERCENT" ? Math.round((base * d.value) / 100) : d.value;
+
+// Bagi `total` proporsional ke `weights`; sisa pembulatan ke pecahan terbesar
+function allocate(total, weights) {
+  const sum = weights.reduce((a, w) => a + w, 0);
+  if (!sum || !total) return weights.map(() => 0);
+  const raw = weights.map((w) => (total * w) / sum);
+  const out = raw.map(Math.floor);
+  let rest = total - out.reduce((a, n) => a + n, 0);
+  const order = raw.map((r, i) => [r - out[i], i]).sort((a, b) => b[0] - a[0]);
+  for (let k = 0; rest > 0; k++, rest--) out[order[k % order.length][1]]++;
+  return out;
+}
+
+// Nilai yang dibayar pelanggan untuk `qty` unit berikutnya yang diretur:
+// harga setelah diskon item & bagian diskon invoice, ditambah PPN.
+// Dihitung kumulatif supaya retur bertahap tidak selisih pembulatan.
+function returnValue(it, qty) {
+  const value = it.lineTotal - it.invoiceDiscount + it.taxAmount;
+  const upTo = (n) => Math.round((value * n) / it.qty);
+  return upTo(it.returnedQty + qty) - upTo(it.returnedQty);
+}
+
+/**
+ * Retur / void: kembalikan stok ke lokasi penjualan (movement IN,
+ * refId = sale), catat refund (Payment negatif) terhadap pembayaran asal,
+ * lalu hitung ulang status.
+ * lines: [{ saleItemId, qty }]; kind: "RETURN" | "VOID"; refund dicatat
+ * di shift kasir yang memproses (opts.shiftId)
+ */
+async function applySaleReturn(tx, saleId, lines, opts) {
+  const { kind, reason = null, userId = "admin", shiftId = null } = opts;
+
+  // kunci baris sale supaya retur paralel tidak dobel
+  await tx.$queryRaw`SELECT id FROM "Sale" WHERE id = ${saleId} FOR UPDATE`;
+  const sale = await tx.sale.findUnique({
+    where: { id: saleId },
+    include: { items: true, payments: true },
+  });
+  if (!sale) throw new Error("Sale not found");
+  if (sale.voidedAt) throw new Error("Transaksi sudah dibatalkan (void).");
+
+  // saleItemId yang sama digabung dulu supaya cek sisa berlaku total
+  const merged = new Map();
+  for (const l of lines)
+    merged.set(l.saleItemId, (merged.get(l.saleItemId) || 0) + l.qty);
+
+  const picked = [];
+  for (const [saleItemId, qty] of merged) {
+    const l = { saleItemId, qty };
+    const it = sale.items.find((i) => i.id === l.saleItemId);
+    if (!it) throw new Error("Item penjualan tidak ditemukan.");
+    const left = it.qty - it.returnedQty;
+    if (l.qty > left)
+      throw new Error(`Qty retur melebihi sisa (${left}) untuk item ${it.id}`);
+    if (l.qty > 0) picked.push({ it, qty: l.qty });
+  }
+  if (!picked.length) throw new Error("Tidak ada item untuk diretur.");
+
+  for (const p of picked) p.value = returnValue(p.it, p.qty);
+  const total = picked.reduce((a, p) => a + p.value, 0);
+  const returnNo = await nextDocNo(tx, "RET");
+
+  const ret = await tx.saleReturn.create({
+    data: {
+      returnNo,
+      saleId,
+      kind,
+      reason,
+      total,
+      userId,
+      shiftId,
+      items: {
+        create: picked.map(({ it, qty, value }) => ({
+          saleItemId: it.id,
+          productId: it.productId,
+          qty,
+          unitPrice: it.unitPrice,
+          lineTotal: value,
+        })),
+      },
+    },
+  });
+
+  // Stok balik & movement kompensasi
+  for (const { it, qty } of picked) {
+    await tx.saleItem.update({
+      where: { id: it.id },
+      data: { returnedQty: { increment: qty } },
+    });
+    await restoreBatches(tx, it.id, qty);
+    await moveStock(tx, it.productId, sale.locationId, qty);
+    await tx.stockMovement.create({
+      data: {
+        productId: it.productId,
+        type: "IN",
+        qty,
+        reason: kind === "VOID" ? "Void" : "Return",
+        refId: saleId,
+        locationId: sale.locationId,
+        userId,
+        note: returnNo,
+      },
+    });
+  }
+
+  // Refund: kelebihan bayar terhadap total bersih yang baru,
+  // dialokasikan ke pembayaran terakhir lebih dulu
+  const returnedTotal = sale.returnedTotal + total;
+  const netTotal = sale.grandTotal - returnedTotal;
+  const paid = sale.payments.reduce((a, p) => a + p.amount, 0);
+  const refundDue = Math.max(0, paid - netTotal);
+  let remaining = refundDue;
+
+  const originals = sale.payments
+    .filter((p) => p.amount > 0)
+    .sort((a, b) => b.date - a.date);
+  for (const p of originals) {
+    if (remaining <= 0) break;
+    const already = sale.payments
+      .filter((r) => r.refundOfId === p.id)
+      .reduce((a, r) => a - r.amount, 0);
+    const amount = Math.min(remaining, p.amount - already);
+    if (amount <= 0) continue;
+    await tx.payment.create({
+      data: {
+        saleId,
+        amount: -amount,
+        method: p.method,
+        refNo: returnNo,
+        returnId: ret.id,
+        refundOfId: p.id,
+        shiftId,
+      },
+    });
+    remaining -= amount;
+  }
+
+  const refund = refundDue - remaining;
+  const amountPaid = paid - refund;
+  const updated = await tx.sale.update({
+    where: { id: saleId },
+    data: {
+      returnedTotal,
+      amountPaid,
+      paymentStatus:
+        kind === "VOID" ? "Batal" : calcStatus(amountPaid, netTotal),
+      ...(kind === "VOID"
+        ? { voidedAt: new Date(), voidedBy: userId, voidReason: reason }
+        : {}),
+    },
+  });
+
+  const saved = await tx.saleReturn.update({
+    where: { id: ret.id },
+    data: { refund },
+    include: { items: true, payments: true },
+  });
+  return { ...saved, sale: updated };
+}
+
+// CREATE SALE (POS): admin only
+app.post("/api/v1/sales", auth, can("sales:create"), async (req, res) => {
+  const schema = z.object({
+    customerId: z.string().optional().nullable(),
+    locationId: z.string().optional().nullable(), // default: lokasi default
+    note: z.string().optional().nullable(),
+    items: z.array(
+      z.object({
+        productId: z.string(),
+        qty: z.number().int().positive(),
+        unit: z.string().optional().nullable(), // satuan jual; default dasar
+        unitPrice: z.number().int().nonnegative().optional(), // override
+        discount: discountSchema.optional(),
+      })
+    ),
+    discount: discountSchema.optional(), // diskon invoice
+    ppn: z.boolean().default(false),
+    amountPaid: z.number().int().nonnegative().default(0),
+    method: z.enum(["Tunai", "Transfer", "QRIS"]).default("Tunai"),
+  });
+
+  try {
+    const payload = schema.parse(req.body);
+
+    // Shift kasir aktif; lokasi default mengikuti shift
+    const shift = await currentShift(req);
+    const loc = await resolveLocation(
+      prisma,
+      payload.locationId ?? shift?.locationId
+    );
+
+    // Validasi produk & stok di lokasi (produk sama boleh beda satuan)
+    const ids = Array.from(new Set(payload.items.map((i) => i.productId)));
+    const products = await prisma.product.findMany({
+      where: { id: { in: ids } },
+      include: { units: true, stocks: { where: { locationId: loc.id } } },
+    });
+    if (products.length !== ids.length)
+      throw new Error("Produk tidak ditemukan.");
+    const needed = new Map();
+
+    // Harga dasar dari daftar harga pelanggan / default (potongan qty)
+    const resolvePrice = await priceResolver(
+      prisma,
+      payload.customerId ?? null,
+      ids
+    );
+    // harga jual boleh diganti hanya dengan izin sales:price-override
+    const canOverride = await userCan(req, "sales:price-override");
+    // Potongan qty dihitung dari total satuan dasar per produk (semua baris)
+    const baseQty = new Map();
+    for (const i of payload.items) {
+      const p = products.find((pp) => pp.id === i.productId);
+      const qty = i.qty * findUnit(p, i.unit).factor;
+      baseQty.set(p.id, (baseQty.get(p.id) || 0) + qty);
+    }
+
+    const calcItems = payload.items.map((i) => {
+      const p = products.find((pp) => pp.id === i.productId);
+      if (!p) throw new Error("Produk tidak ditemukan.");
+      const u = findUnit(p, i.unit);
+      const qty = i.qty * u.factor;
+      const total = (needed.get(p.id) || 0) + qty;
+      needed.set(p.id, total);
+      if ((p.stocks[0]?.qty ?? 0) < total)
+        throw new Error(`Stok tidak cukup di ${loc.name}: ${p.name}`);
+      // Satuan dengan harga sendiri memakai harganya; selain itu harga
+      // daftar (per satuan dasar) x faktor
+      const tier = resolvePrice(p, baseQty.get(p.id));
+      const priceListId = u.ownPrice ? null : tier.priceListId;
+      const listPrice = priceListId ? tier.price * u.factor : u.sellPrice;
+      const unitPrice = i.unitPrice ?? listPrice;
+      if (unitPrice !== listPrice && !canOverride)
+        throw new Error(`Tidak berwenang mengubah harga: ${p.name}`);
+      const gross = unitPrice * i.qty;
+      const discountAmount = discountOf(gross, i.discount);
+      if (discountAmount > gross)
+        throw new Error(`Diskon melebihi harga: ${p.name}`);
+      return {
+        productId: i.productId,
+        qty,
+        unit: u.unit,
+        unitFactor: u.factor,
+        unitQty: i.qty,
+        name: p.name,
+        listPrice,
+        priceListId,
+        unitPrice,
+        gross,
+        discountType: i.discount?.type ?? null,
+        discountValue: i.discount?.value ?? null,
+        discountAmount,
+        lineTotal: gross - discountAmount,
+        costPrice: p.costPrice,
+      };
+    });
+
+    // Diskon invoice & PPN dibagi proporsional ke item (untuk retur & laba)
+    const grossTotal = calcItems.reduce((a, i) => a + i.gross, 0);
+    const lineDiscount = calcItems.reduce((a, i) => a + i.discountAmount, 0);
+    const subtotal = grossTotal - lineDiscount;
+    const discountAmount = discountOf(subtotal, payload.discount);
+    if (discountAmount > subtotal)
+      throw new Error("Diskon invoice melebihi subtotal.");
+    const taxRate = payload.ppn ? PPN_RATE : 0;
+    const taxAmount = Math.round(((subtotal - discountAmount) * taxRate) / 100);
+
+    const shares = allocate(
+      discountAmount,
+      calcItems.map((i) => i.lineTotal)
+    );
+    calcItems.forEach((i, k) => (i.invoiceDiscount = shares[k]));
+    const taxes = allocate(
+      taxAmount,
+      calcItems.map((i) => i.lineTotal - i.invoiceDiscount)
+    );
+    calcItems.forEach((i, k) => (i.taxAmount = taxes[k]));
+
+    // Diskon besar hanya dengan izin sales:price-override
+    for (const i of calcItems) {
+      const listTotal = i.listPrice * i.unitQty;
+      const discount = i.discountAmount + i.invoiceDiscount;
+      const discountPct = listTotal > 0 ? (discount * 100) / listTotal : 0;
+      if (discount > 0 && discountPct > MAX_DISCOUNT_PCT && !canOverride)
+        return res.status(403).json({
+          error: `Diskon melebihi batas tanpa izin: ${i.name}`,
+          productId: i.productId,
+          discountPct: Math.round(discountPct * 100) / 100,
+          maxDiscountPct: MAX_DISCOUNT_PCT,
+          missing: ["sales:price-override"],
+        });
+    }
+
+    const grandTotal = subtotal - discountAmount + taxAmount;
+    const status = calcStatus(payload.amountPaid, grandTotal);
+
+    // Limit kredit pelanggan (kalau ada sisa tagihan)
+    if (payload.customerId && payload.amountPaid < grandTotal) {
+      const customer = await prisma.customer.findUnique({
+        where: { id: payload.customerId },
+      });
+      if (!customer) throw new Error("Pelanggan tidak ditemukan.");
+      if (customer.creditLimit != null) {
+        const outstanding = await customerOutstanding(prisma, customer.id);
+        const after = outstanding + grandTotal - payload.amountPaid;
+        if (after > customer.creditLimit)
+          return res.status(400).json({
+            error: `Melebihi limit kredit ${customer.name}`,
+            creditLimit: customer.creditLimit,
+            outstanding,
+            requested: grandTotal - payload.amountPaid,
+          });
+      }
+    }
+
+    // Transaksi utama
+    const sale = await prisma.$transaction(async (tx) => {
+      const invoiceNo = await nextDocNo(tx, "INV");
+
+      const s = await tx.sale.create({
+        data: {
+          invoiceNo,
+          customerId: payload.customerId ?? null,
+          locationId: loc.id,
+          shiftId: shift?.id ?? null,
+          note: payload.note ?? null,
+          grossTotal,
+          lineDiscount,
+          subtotal,
+          discountType: payload.discount?.type ?? null,
+          discountValue: payload.discount?.value ?? null,
+          discountAmount,
+          taxRate,
+          taxAmount,
+          grandTotal,
+          amountPaid: payload.amountPaid,
+          paymentStatus: status,
+        },
+      });
+
+      // Item, HPP batch, stok & movement
+      for (const i of calcItems) {
+        const { allocations, costTotal } = await consumeBatches(
+          tx,
+          i.productId,
+          i.qty,
+          i.costPrice,
+          loc.id
+        );
+        // Harga override/diskon tidak boleh di bawah HPP batch yang
+        // terpakai + margin minimum
+        const net = i.lineTotal - i.invoiceDiscount;
+        const floor = Math.ceil(costTotal * (1 + MIN_MARGIN_PCT / 100));
+        if (net !== i.listPrice * i.unitQty && net < floor)
+          throw Object.assign(
+            new Error(`Harga bersih di bawah margin minimum: ${i.name}`),
+            {
+              detail: {
+                productId: i.productId,
+                netUnitPrice: Math.round(net / i.unitQty),
+                minUnitPrice: Math.ceil(floor / i.unitQty),
+                minMarginPct: MIN_MARGIN_PCT,
+              },
+            }
+          );
+        await tx.saleItem.create({
+          data: {
+            saleId: s.id,
+            productId: i.productId,
+            qty: i.qty,
+            unit: i.unit,
+            unitFactor: i.unitFactor,
+            unitQty: i.unitQty,
+            listPrice: i.listPrice,
+            priceListId: i.priceListId,
+            unitPrice: i.unitPrice,
+            discountType: i.discountType,
+            discountValue: i.discountValue,
+            discountAmount: i.discountAmount,
+            lineTotal: i.lineTotal,
+            invoiceDiscount: i.invoiceDiscount,
+            taxAmount: i.taxAmount,
+            unitCost: Math.round(costTotal / i.qty),
+            costTotal,
+            batches: { create: allocations },
+          },
+        });
+        await moveStock(tx, i.productId, loc.id, -i.qty);
+        await tx.stockMovement.create({
+          data: {
+            productId: i.productId,
+            type: "OUT",
+            qty: i.qty,
+            reason: "Sale",
+            refId: s.id,
+            locationId: loc.id,
+            userId: req.user?.sub || "admin",
+          },
+        });
+      }
+
+      // Pembayaran awal
+      if (payload.amountPaid > 0) {
+        await tx.payment.create({
+          data: {
+            saleId: s.id,
+            amount: payload.amountPaid,
+            method: payload.method,
+            shiftId: shift?.id ?? null,
+          },
+        });
+      }
+
+      await audit(tx, req, {
+        action: "CREATE",
+        entity: "Sale",
+        entityId: s.id,
+        after: {
+          ...s,
+          items: calcItems.map((i) => ({
+            productId: i.productId,
+            qty: i.qty,
+            unit: i.unit,
+            unitPrice: i.unitPrice,
+            lineTotal: i.lineTotal,
+          })),
+        },
+      });
+      return s;
+    });
+
+    res.json(sale);
+  } catch (e) {
+    if (e?.detail)
+      return res.status(400).json({ error: e.message, ...e.detail });
+    if (e?.code === "P2002" && e?.meta?.target?.includes("invoiceNo")) {
+      return res
+        .status(409)
+        .json({ error: "Nomor invoice bentrok, silakan coba lagi." });
+    }
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// LIST SALES: viewer boleh
+// ?status=open|void|paid &customerId= &locationId= &shiftId= &from=&to=
+// &q=<no. invoice> + paging/sort standar
+app.get("/api/v1/sales", auth, can("sales:read"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ["date", "grandTotal", "invoiceNo"],
+      defaultSort: "-date",
+      defaultLimit: null,
+    });
+    const { from, to } = parseDateRange(req.query);
+    const status = req.query.status?.toString();
+    const where = {
+      ...(status
+        ? status === "open"
+          ? { paymentStatus: { in: ["Piutang", "Sebagian"] }, voidedAt: null }
+          : status === "void"
+          ? { voidedAt: { not: null } }
+          : { paymentStatus: "Lunas" }
+        : {}),
+      ...(list.q ? { invoiceNo: contains(list.q) } : {}),
+      ...(from || to
+        ? {
+            date: {
+              ...(from ? { gte: from } : {}),
+              ...(to ? { lte: to } : {}),
+            },
+          }
+        : {}),
+    };
+    for (const key of ["customerId", "locationId", "shiftId"])
+      if (req.query[key]) where[key] = req.query[key].toString();
+
+    const [total, rows] = await Promise.all([
+      prisma.sale.count({ where }),
+      prisma.sale.findMany({ where, ...pageArgs(list) }),
+    ]);
+    sendPage(res, rows, total, list);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Detail invoice (dipakai endpoint detail & cetak)
+async function loadSaleDetail(id) {
+  const sale = await prisma.sale.findUnique({
+    where: { id },
+    include: {
+      customer: {
+        select: { id: true, name: true, phone: true, address: true },
+      },
+      location: { select: { id: true, code: true, name: true } },
+      items: {
+        include: {
+          product: {
+            select: { id: true, name: true, unit: true, expiryDate: true },
+          },
+          priceList: { select: { code: true, name: true } },
+          batches: {
+            include: {
+              batch: {
+                select: { id: true, lotNo: true, expiryDate: true },
+              },
+            },
+          },
+        },
+      },
+      payments: {
+        orderBy: { date: "asc" },
+        select: {
+          id: true,
+          date: true,
+          amount: true,
+          method: true,
+          refNo: true,
+          returnId: true,
+        },
+      },
+      returns: {
+        include: { items: true },
+        orderBy: { date: "asc" },
+      },
+    },
+  });
+  if (!sale) return null;
+
+  const items = sale.items.map((it) => ({
+    productId: it.productId,
+    productName: it.product?.name ?? "-",
+    saleItemId: it.id,
+    qty: it.unitQty,
+    unit: it.unit ?? it.product?.unit ?? "-",
+    unitFactor: it.unitFactor,
+    // stok & retur dalam satuan dasar
+    baseQty: it.qty,
+    baseUnit: it.product?.unit ?? "-",
+    returnedQty: it.returnedQty,
+    listPrice: it.listPrice,
+    priceListId: it.priceListId ?? null,
+    priceList: it.priceList?.name ?? null,
+    unitPrice: it.unitPrice,
+    discountType: it.discountType ?? null,
+    discountValue: it.discountValue ?? null,
+    discountAmount: it.discountAmount,
+    lineTotal: it.lineTotal,
+    invoiceDiscount: it.invoiceDiscount,
+    taxAmount: it.taxAmount,
+    expiryDate: it.product?.expiryDate ?? null,
+    // lot yang keluar (FEFO) untuk telusur recall
+    lots: it.batches.map((b) => ({
+      batchId: b.batchId,
+      lotNo: b.batch?.lotNo ?? null,
+      expiryDate: b.batch?.expiryDate ?? null,
+      qty: b.qty,
+      returnedQty: b.returnedQty,
+    })),
+  }));
+  const paid = sale.payments.reduce((a, p) => a + p.amount, 0);
+
+  return {
+    id: sale.id,
+    invoiceNo: sale.invoiceNo,
+    date: sale.date,
+    customer: sale.customer
+      ? {
+          id: sale.customer.id,
+          name: sale.customer.name,
+          phone: sale.customer.phone ?? null,
+          address: sale.customer.address ?? null,
+        }
+      : null,
+    location: sale.location,
+    note: sale.note ?? null,
+    grossTotal: sale.grossTotal,
+    lineDiscount: sale.lineDiscount,
+    subtotal: sale.subtotal,
+    discountType: sale.discountType ?? null,
+    discountValue: sale.discountValue ?? null,
+    discountAmount: sale.discountAmount,
+    taxRate: sale.taxRate,
+    taxAmount: sale.taxAmount,
+    grandTotal: sale.grandTotal,
+    returnedTotal: sale.returnedTotal,
+    netTotal: sale.grandTotal - sale.returnedTotal,
+    amountPaid: paid,
+    paymentStatus: sale.paymentStatus,
+    voidedAt: sale.voidedAt,
+    voidReason: sale.voidReason ?? null,
+    items,
+    payments: sale.payments,
+    returns: sale.returns,
+  };
+}
+
+// DETAIL 1 INVOICE: viewer boleh
+app.get(
+  "/api/v1/sales/:id/detail",
+  auth,
+  can("sales:read"),
+  async (req, res) => {
+    try {
+      const sale = await loadSaleDetail(req.params.id);
+      if (!sale) return res.status(404).json({ error: "Sale not found" });
+      return res.json(sale);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// VOID (batalkan seluruh transaksi): admin only
+app.post(
+  "/api/v1/sales/:id/void",
+  auth,
+  can("sales:void"),
+  async (req, res) => {
+    const schema = z.object({ reason: z.string().optional().nullable() });
+    try {
+      const { reason } = schema.parse(req.body || {});
+      const sale = await prisma.sale.findUnique({
+        where: { id: req.params.id },
+        include: { items: true },
+      });
+      if (!sale) return res.status(404).json({ error: "Sale not found" });
+      if (sale.voidedAt)
+        return res.status(409).json({ error: "Transaksi sudah dibatalkan." });
+      const shift = await currentShift(req);
+
+      const lines = sale.items
+        .map((it) => ({ saleItemId: it.id, qty: it.qty - it.returnedQty }))
+        .filter((l) => l.qty > 0);
+
+      const { items, ...before } = sale;
+      const result = await prisma.$transaction(async (tx) => {
+        const voided = lines.length
+          ? (
+              await applySaleReturn(tx, sale.id, lines, {
+                kind: "VOID",
+                reason: reason ?? null,
+                userId: req.user?.sub || "admin",
+                shiftId: shift?.id ?? null,
+              })
+            ).sale
+          : // semua item sudah diretur: cukup tandai batal
+            await tx.sale.update({
+              where: { id: sale.id },
+              data: {
+                paymentStatus: "Batal",
+                voidedAt: new Date(),
+                voidedBy: req.user?.sub || "admin",
+                voidReason: reason ?? null,
+              },
+            });
+        await audit(tx, req, {
+          action: "VOID",
+          entity: "Sale",
+          entityId: sale.id,
+          before,
+          after: voided,
+          note: reason ?? null,
+        });
+        return voided;
+      });
+
+      res.json(result);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// RETUR (penuh / sebagian per SaleItem): admin only
+app.post(
+  "/api/v1/sales/:id/returns",
+  auth,
+  can("sales:return"),
+  async (req, res) => {
+    const schema = z.object({
+      reason: z.string().optional().nullable(),
+      // kosong = retur semua sisa item
+      items: z
+        .array(
+          z.object({
+            saleItemId: z.string(),
+            qty: z.number().int().positive(), // satuan dasar (baseQty)
+          })
+        )
+        .optional(),
+    });
+    try {
+      const payload = schema.parse(req.body || {});
+      const sale = await prisma.sale.findUnique({
+        where: { id: req.params.id },
+        include: { items: true },
+      });
+      if (!sale) return res.status(404).json({ error: "Sale not found" });
+      const shift = await currentShift(req);
+
+      const lines =
+        payload.items ??
+        sale.items
+          .map((it) => ({ saleItemId: it.id, qty: it.qty - it.returnedQty }))
+          .filter((l) => l.qty > 0);
+
+      const { items, ...before } = sale;
+      const ret = await prisma.$transaction(async (tx) => {
+        const r = await applySaleReturn(tx, sale.id, lines, {
+          kind: "RETURN",
+          reason: payload.reason ?? null,
+          userId: req.user?.sub || "admin",
+          shiftId: shift?.id ?? null,
+        });
+        await audit(tx, req, {
+          action: "RETURN",
+          entity: "Sale",
+          entityId: sale.id,
+          before,
+          after: r.sale,
+          note: r.returnNo,
+        });
+        return r;
+      });
+
+      res.json(ret);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// LIST RETUR 1 INVOICE: viewer boleh
+app.get(
+  "/api/v1/sales/:id/returns",
+  auth,
+  can("sales:read"),
+  async (req, res) => {
+    const list = await prisma.saleReturn.findMany({
+      where: { saleId: req.params.id },
+      include: { items: true, payments: true },
+      orderBy: { date: "asc" },
+    });
+    res.json(list);
+  }
+);
+
+/* ================= PAYMENTS ================= */
+// CREATE PAYMENT: admin only
+app.post("/api/v1/payments", auth, can("payments:create"), async (req, res) => {
+  const schema = z.object({
+    saleId: z.string(),
+    amount: z.number().int().positive(),
+    method: z.enum(["Tunai", "Transfer", "QRIS"]),
+    refNo: z.string().optional().nullable(),
+  });
+
+  try {
+    const payload = schema.parse(req.body);
+    const exists = await prisma.sale.findUnique({
+      where: { id: payload.saleId },
+      select: { id: true },
+    });
+    if (!exists) return res.status(404).json({ error: "Sale not found" });
+    const shift = await currentShift(req);
+
+    const saved = await prisma.$transaction(async (tx) => {
+      // kunci invoice: pembayaran bersamaan tidak boleh melebihi tagihan
+      await tx.$queryRaw`SELECT id FROM "Sale" WHERE id = ${payload.saleId} FOR UPDATE`;
+      const sale = await tx.sale.findUnique({
+        where: { id: payload.saleId },
+        include: { payments: true },
+      });
+      if (sale.voidedAt) throw new Error("Transaksi sudah dibatalkan.");
+
+      const paid = sale.payments.reduce((a, p) => a + p.amount, 0);
+      const netTotal = sale.grandTotal - sale.returnedTotal;
+      if (payload.amount > netTotal - paid)
+        throw new Error("Nominal melebihi sisa tagihan");
+      const receiptNo = await nextDocNo(tx, "RCP");
+      const pay = await tx.payment.create({
+        data: { ...payload, receiptNo, shiftId: shift?.id ?? null },
+      });
+      const newPaid = paid + payload.amount;
+      const newStatus = calcStatus(newPaid, netTotal);
+      await tx.sale.update({
+        where: { id: sale.id },
+        data: { amountPaid: newPaid, paymentStatus: newStatus },
+      });
+      await audit(tx, req, {
+        action: "PAYMENT",
+        entity: "Sale",
+        entityId: sale.id,
+        before: {
+          amountPaid: sale.amountPaid,
+          paymentStatus: sale.paymentStatus,
+        },
+        after: { amountPaid: newPaid, paymentStatus: newStatus },
+        note: `${receiptNo} ${pay.method} ${pay.amount}`,
+      });
+      return pay;
+    });
+
+    res.json(saved);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// BAYAR GABUNGAN per pelanggan: 1 nominal dialokasikan ke beberapa invoice
+// (alokasi manual, atau otomatis invoice tertua dulu). admin only
+app.post(
+  "/api/v1/customers/:id/payments",
+  auth,
+  can("payments:create"),
+  async (req, res) => {
+    const schema = z.object({
+      amount: z.number().int().positive(),
+      method: z.enum(["Tunai", "Transfer", "QRIS"]),
+      refNo: z.string().optional().nullable(),
+      note: z.string().optional().nullable(),
+      allocations: z
+        .array(
+          z.object({
+            saleId: z.string(),
+            amount: z.number().int().positive(),
+          })
+        )
+        .refine((l) => new Set(l.map((x) => x.saleId)).size === l.length, {
+          message: "Invoice dobel di alokasi",
+        })
+        .optional(),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+      const shift = await currentShift(req);
+
+      const receipt = await prisma.$transaction(async (tx) => {
+        // kunci invoice terbuka pelanggan ini
+        await tx.$queryRaw`
+          SELECT id FROM "Sale"
+          WHERE "customerId" = ${customer.id} AND "voidedAt" IS NULL
+            AND "paymentStatus" IN ('Piutang', 'Sebagian')
+          FOR UPDATE
+        `;
+        const open = await tx.sale.findMany({
+          where: {
+            customerId: customer.id,
+            voidedAt: null,
+            paymentStatus: { in: ["Piutang", "Sebagian"] },
+          },
+          orderBy: [{ date: "asc" }, { createdAt: "asc" }],
+        });
+        const dueOf = (s) => s.grandTotal - s.returnedTotal - s.amountPaid;
+        const outstanding = open.reduce((a, s) => a + dueOf(s), 0);
+        if (payload.amount > outstanding)
+          throw new Error(
+            `Nominal melebihi total piutang (${outstanding.toLocaleString(
+              "id-ID"
+            )})`
+          );
+
+        let plan;
+        if (payload.allocations) {
+          const sum = payload.allocations.reduce((a, x) => a + x.amount, 0);
+          if (sum !== payload.amount)
+            throw new Error("Jumlah alokasi harus sama dengan nominal bayar");
+          plan = payload.allocations.map((x) => {
+            const sale = open.find((s) => s.id === x.saleId);
+            if (!sale)
+              throw new Error(
+                `Invoice ${x.saleId} tidak terbuka / bukan milik pelanggan`
+              );
+            if (x.amount > dueOf(sale))
+              throw new Error(
+                `Alokasi melebihi sisa tagihan ${sale.invoiceNo}`
+              );
+            return { sale, amount: x.amount };
+          });
+        } else {
+          plan = [];
+          let left = payload.amount;
+          for (const sale of open) {
+            if (left <= 0) break;
+            const amount = Math.min(left, dueOf(sale));
+            if (amount <= 0) continue;
+            plan.push({ sale, amount });
+            left -= amount;
+          }
+        }
+
+        const receiptNo = await nextDocNo(tx, "RCP");
+        const rcp = await tx.customerReceipt.create({
+          data: {
+            receiptNo,
+            customerId: customer.id,
+            amount: payload.amount,
+            method: payload.method,
+            refNo: payload.refNo ?? null,
+            note: payload.note ?? null,
+            userId: req.user?.sub || "admin",
+          },
+        });
+
+        const settled = [];
+        for (const { sale, amount } of plan) {
+          await tx.payment.create({
+            data: {
+              saleId: sale.id,
+              amount,
+              method: payload.method,
+              refNo: payload.refNo || receiptNo,
+              receiptId: rcp.id,
+              shiftId: shift?.id ?? null,
+            },
+          });
+          // increment + cek ulang sisa dari nilai terbaru di DB
+          const { amountPaid, grandTotal, returnedTotal } =
+            await tx.sale.update({
+              where: { id: sale.id },
+              data: { amountPaid: { increment: amount } },
+            });
+          const netTotal = grandTotal - returnedTotal;
+          if (amountPaid > netTotal)
+            throw new Error(`Alokasi melebihi sisa tagihan ${sale.invoiceNo}`);
+          const paymentStatus = calcStatus(amountPaid, netTotal);
+          await tx.sale.update({
+            where: { id: sale.id },
+            data: { paymentStatus },
+          });
+          settled.push({
+            saleId: sale.id,
+            invoiceNo: sale.invoiceNo,
+            date: sale.date,
+            dueBefore: netTotal - (amountPaid - amount),
+            amount,
+            dueAfter: netTotal - amountPaid,
+            paymentStatus,
+          });
+        }
+
+        await audit(tx, req, {
+          action: "CREATE",
+          entity: "CustomerReceipt",
+          entityId: rcp.id,
+          after: { ...rcp, settled },
+        });
+        return {
+          ...rcp,
+          customer: { id: customer.id, name: customer.name },
+          settled,
+          remainingOutstanding: outstanding - payload.amount,
+        };
+      });
+
+      res.json(receipt);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Riwayat kuitansi pembayaran pelanggan: viewer boleh
+app.get(
+  "/api/v1/customers/:id/receipts",
+  auth,
+  can("customers:read"),
+  async (req, res) => {
+    const list = await prisma.customerReceipt.findMany({
+      where: { customerId: req.params.id },
+      orderBy: { date: "desc" },
+    });
+    res.json(list);
+  }
+);
+
+app.get(
+  "/api/v1/customer-receipts/:id",
+  auth,
+  can("customers:read"),
+  async (req, res) => {
+    const rcp = await prisma.customerReceipt.findUnique({
+      where: { id: req.params.id },
+      include: {
+        customer: { select: { id: true, name: true, phone: true } },
+        payments: {
+          include: {
+            sale: {
+              select: {
+                id: true,
+                invoiceNo: true,
+                date: true,
+                grandTotal: true,
+                returnedTotal: true,
+                amountPaid: true,
+                paymentStatus: true,
+              },
+            },
+          },
+        },
+      },
+    });
+    if (!rcp) return res.status(404).json({ error: "Receipt not found" });
+    res.json({
+      ...rcp,
+      settled: rcp.payments.map((p) => ({
+        saleId: p.sale.id,
+        invoiceNo: p.sale.invoiceNo,
+        date: p.sale.date,
+        amount: p.amount,
+        dueNow: p.sale.grandTotal - p.sale.returnedTotal - p.sale.amountPaid,
+        paymentStatus: p.sale.paymentStatus,
+      })),
+    });
+  }
+);
+
+/* ================= SHIFT KASIR ================= */
+// REQUIRE_SHIFT=1: penjualan, pembayaran & retur wajib dalam shift terbuka
+const REQUIRE_SHIFT = process.env.REQUIRE_SHIFT === "1";
+const PAY_METHODS = ["Tunai", "Transfer", "QRIS"];
+
+async function currentShift(req) {
+  const shift = await prisma.cashShift.findFirst({
+    where: { userId: req.user?.sub || "admin", status: "OPEN" },
+  });
+  if (!shift && REQUIRE_SHIFT)
+    throw new Error("Belum ada shift kasir terbuka. Buka shift dulu.");
+  return shift;
+}
+
+/**
+ * Z-report (atau X-report kalau shift masih buka): uang per metode bayar
+ * (diterima, refund, seharusnya vs hitung fisik), kas masuk/keluar,
+ * jumlah penjualan dan retur selama shift.
+ * counted: { Tunai, Transfer, QRIS } — metode non-tunai default = seharusnya
+ */
+async function buildZReport(db, shift, counted = {}) {
+  const [payments, entries, sales, returns] = await Promise.all([
+    db.payment.findMany({
+      where: { shiftId: shift.id },
+      select: { amount: true, method: true },
+    }),
+    db.cashEntry.findMany({ where: { shiftId: shift.id } }),
+    db.sale.findMany({
+      where: { shiftId: shift.id },
+      select: {
+        grandTotal: true,
+        discountAmount: true,
+        lineDiscount: true,
+        taxAmount: true,
+        voidedAt: true,
+      },
+    }),
+    db.saleReturn.findMany({
+      where: { shiftId: shift.id },
+      select: { kind: true, total: true, refund: true },
+    }),
+  ]);
+
+  const cashIn = entries
+    .filter((e) => e.type === "IN")
+    .reduce((a, e) => a + e.amount, 0);
+  const cashOut = entries
+    .filter((e) => e.type === "OUT")
+    .reduce((a, e) => a + e.amount, 0);
+
+  const methods = Array.from(
+    new Set([...PAY_METHODS, ...payments.map((p) => p.method)])
+  );
+  const byMethod = methods.map((method) => {
+    const ps = payments.filter((p) => p.method === method);
+    const received = ps
+      .filter((p) => p.amount > 0)
+      .reduce((a, p) => a + p.amount, 0);
+    const refunded = ps
+      .filter((p) => p.amount < 0)
+      .reduce((a, p) => a - p.amount, 0);
+    const expected =
+      received -
+      refunded +
+      (method === "Tunai" ? shift.openingFloat + cashIn - cashOut : 0);
+    const c = counted[method] ?? (method === "Tunai" ? null : expected);
+    return {
+      method,
+      received,
+      refunded,
+      expected,
+      counted: c,
+      variance: c == null ? null : c - expected,
+    };
+  });
+
+  const active = sales.filter((x) => !x.voidedAt);
+  const sum = (rows, k) => rows.reduce((a, x) => a + (x[k] || 0), 0);
+  const cash = byMethod.find((m) => m.method === "Tunai");
+
+  return {
+    shiftId: shift.id,
+    shiftNo: shift.shiftNo,
+    userId: shift.userId,
+    locationId: shift.locationId,
+    status: shift.status,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt ?? null,
+    openingFloat: shift.openingFloat,
+    cashIn,
+    cashOut,
+    byMethod,
+    sales: {
+      count: active.length,
+      voided: sales.length - active.length,
+      total: sum(active, "grandTotal"),
+      discount: sum(active, "lineDiscount") + sum(active, "discountAmount"),
+      tax: sum(active, "taxAmount"),
+    },
+    returns: {
+      count: returns.filter((r) => r.kind === "RETURN").length,
+      voids: returns.filter((r) => r.kind === "VOID").length,
+      total: sum(returns, "total"),
+      refund: sum(returns, "refund"),
+    },
+    expectedCash: cash.expected,
+    countedCash: cash.counted,
+    cashVariance: cash.variance,
+    totalVariance: byMethod.reduce((a, m) => a + (m.variance || 0), 0),
+  };
+}
+
+// Shift hanya dioperasikan pemiliknya, kecuali punya shifts:manage
+const shiftOwner = async (req, shift) =>
+  shift.userId === (req.user?.sub || "admin") ||
+  (await userCan(req, "shifts:manage"));
+
+const notShiftOwner = (res) =>
+  res
+    .status(403)
+    .json({ error: "Bukan shift Anda", missing: ["shifts:manage"] });
+
+// Buka shift: 1 shift terbuka per kasir
+app.post(
+  "/api/v1/shifts/open",
+  auth,
+  can("shifts:operate"),
+  async (req, res) => {
+    const schema = z.object({
+      openingFloat: z.number().int().nonnegative(),
+      locationId: z.string().optional().nullable(),
+      note: z.string().optional().nullable(),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const userId = req.user?.sub || "admin";
+      const open = await prisma.cashShift.findFirst({
+        where: { userId, status: "OPEN" },
+      });
+      if (open)
+        return res
+          .status(409)
+          .json({ error: "Masih ada shift terbuka.", shiftId: open.id });
+      const loc = await resolveLocation(prisma, payload.locationId);
+      const shift = await prisma.$transaction(async (tx) => {
+        const s = await tx.cashShift.create({
+          data: {
+            shiftNo: await nextDocNo(tx, "SHF"),
+            userId,
+            locationId: loc.id,
+            openingFloat: payload.openingFloat,
+            note: payload.note ?? null,
+          },
+        });
+        await audit(tx, req, {
+          action: "OPEN",
+          entity: "CashShift",
+          entityId: s.id,
+          after: s,
+        });
+        return s;
+      });
+      res.json(shift);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Shift terbuka milik user yang login (+ X-report berjalan)
+app.get(
+  "/api/v1/shifts/current",
+  auth,
+  can("shifts:read"),
+  async (req, res) => {
+    const shift = await prisma.cashShift.findFirst({
+      where: { userId: req.user?.sub || "admin", status: "OPEN" },
+    });
+    if (!shift)
+      return res.status(404).json({ error: "Tidak ada shift terbuka" });
+    res.json({ ...shift, report: await buildZReport(prisma, shift) });
+  }
+);
+
+app.get("/api/v1/shifts", auth, can("shifts:read"), async (req, res) => {
+  const status = req.query.status?.toString();
+  const userId = req.query.userId?.toString();
+  const locationId = req.query.locationId?.toString();
+  const list = await prisma.cashShift.findMany({
+    where: {
+      ...(status ? { status } : {}),
+      ...(userId ? { userId } : {}),
+      ...(locationId ? { locationId } : {}),
+    },
+    select: {
+      id: true,
+      shiftNo: true,
+      userId: true,
+      locationId: true,
+      status: true,
+      openedAt: true,
+      openingFloat: true,
+      closedAt: true,
+      countedCash: true,
+      expectedCash: true,
+      variance: true,
+    },
+    orderBy: { openedAt: "desc" },
+  });
+  res.json(list);
+});
+
+app.get("/api/v1/shifts/:id", auth, can("shifts:read"), async (req, res) => {
+  const shift = await prisma.cashShift.findUnique({
+    where: { id: req.params.id },
+    include: { entries: { orderBy: { date: "asc" } } },
+  });
+  if (!shift) return res.status(404).json({ error: "Shift not found" });
+  res.json(shift);
+});
+
+// Kas masuk / keluar (biaya kecil, setoran, tambah modal)
+app.post(
+  "/api/v1/shifts/:id/cash-entries",
+  auth,
+  can("shifts:operate"),
+  async (req, res) => {
+    const schema = z.object({
+      type: z.enum(["IN", "OUT"]),
+      amount: z.number().int().positive(),
+      note: z.string().min(1),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const shift = await prisma.cashShift.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!shift) return res.status(404).json({ error: "Shift not found" });
+      if (!(await shiftOwner(req, shift))) return notShiftOwner(res);
+      if (shift.status !== "OPEN")
+        return res.status(400).json({ error: "Shift sudah ditutup" });
+      const entry = await auditedCreate(req, "CashEntry", {
+        ...payload,
+        shiftId: shift.id,
+        userId: req.user?.sub || "admin",
+      });
+      res.json(entry);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Tutup shift: wajib hitung fisik tunai, simpan Z-report
+app.post(
+  "/api/v1/shifts/:id/close",
+  auth,
+  can("shifts:operate"),
+  async (req, res) => {
+    const schema = z.object({
+      countedCash: z.number().int().nonnegative(),
+      // opsional: total settlement non-tunai (default = sesuai sistem)
+      counted: z
+        .object({
+          Transfer: z.number().int().nonnegative().optional(),
+          QRIS: z.number().int().nonnegative().optional(),
+        })
+        .optional(),
+      note: z.string().optional().nullable(),
+    });
+    try {
+      const payload = schema.parse(req.body);
+      const owner = await prisma.cashShift.findUnique({
+        where: { id: req.params.id },
+        select: { userId: true },
+      });
+      if (!owner) return res.status(404).json({ error: "Shift not found" });
+      if (!(await shiftOwner(req, owner))) return notShiftOwner(res);
+      const result = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "CashShift" WHERE id = ${req.params.id} FOR UPDATE`;
+        const shift = await tx.cashShift.findUnique({
+          where: { id: req.params.id },
+        });
+        if (!shift) throw new Error("Shift not found");
+        if (shift.status !== "OPEN") throw new Error("Shift sudah ditutup");
+
+        const closedAt = new Date();
+        const report = await buildZReport(
+          tx,
+          { ...shift, status: "CLOSED", closedAt },
+          { ...payload.counted, Tunai: payload.countedCash }
+        );
+        const closed = await tx.cashShift.update({
+          where: { id: shift.id },
+          data: {
+            status: "CLOSED",
+            closedAt,
+            closedBy: req.user?.sub || "admin",
+            countedCash: payload.countedCash,
+            expectedCash: report.expectedCash,
+            variance: report.cashVariance,
+            report: JSON.parse(JSON.stringify(report)), // Date -> ISO string
+            ...(payload.note !== undefined ? { note: payload.note } : {}),
+          },
+        });
+        // Z-report lengkap sudah tersimpan di CashShift.report
+        const { report: _z, ...after } = closed;
+        await audit(tx, req, {
+          action: "CLOSE",
+          entity: "CashShift",
+          entityId: shift.id,
+          before: shift,
+          after,
+        });
+        return closed;
+      });
+      res.json(result);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Z-report tersimpan (shift tutup) atau X-report berjalan (shift buka)
+app.get(
+  "/api/v1/shifts/:id/z-report",
+  auth,
+  can("shifts:read"),
+  async (req, res) => {
+    try {
+      const shift = await prisma.cashShift.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!shift) return res.status(404).json({ error: "Shift not found" });
+      res.json(shift.report ?? (await buildZReport(prisma, shift)));
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= PROFIL TOKO ================= */
+async function getShopProfile() {
+  const shop = await prisma.shopProfile.findUnique({
+    where: { id: "default" },
+  });
+  return shop ?? { id: "default", name: process.env.SHOP_NAME || "Toko Tani" };
+}
+
+app.get("/api/v1/shop-profile", auth, async (_req, res) => {
+  res.json(await getShopProfile());
+});
+
+app.put(
+  "/api/v1/shop-profile",
+  auth,
+  can("settings:manage"),
+  async (req, res) => {
+    const schema = z.object({
+      name: z.string().min(1),
+      address: z.string().optional().nullable(),
+      phone: z.string().optional().nullable(),
+      taxId: z.string().optional().nullable(),
+      footer: z.string().optional().nullable(),
+    });
+    try {
+      const data = schema.parse(req.body);
+      const shop = await prisma.$transaction(async (tx) => {
+        const before = await tx.shopProfile.findUnique({
+          where: { id: "default" },
+        });
+        const row = await tx.shopProfile.upsert({
+          where: { id: "default" },
+          update: data,
+          create: { id: "default", ...data },
+        });
+        await audit(tx, req, {
+          action: before ? "UPDATE" : "CREATE",
+          entity: "ShopProfile",
+          entityId: row.id,
+          before,
+          after: row,
+        });
+        return row;
+      });
+      res.json(shop);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= CETAK: PDF & STRUK THERMAL (viewer boleh) ================= */
+// ?width=58|80 (kolom 32/48), ?escpos=1 untuk kirim kode ESC/POS mentah
+function sendThermal(req, res, text) {
+  if (req.query.escpos === "1") {
+    res.type("application/octet-stream");
+    return res.send(Buffer.from(text, "binary"));
+  }
+  res.type("text/plain; charset=utf-8");
+  res.send(text);
+}
+
+const thermalOpts = (req) => ({
+  width: req.query.width?.toString() === "80" ? 80 : 58,
+  escpos: req.query.escpos === "1",
+});
+
+function sendPdf(res, doc, filename) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  doc.pipe(res);
+}
+
+// ?size=A4|A5
+app.get(
+  "/api/v1/sales/:id/invoice.pdf",
+  auth,
+  can("sales:read"),
+  async (req, res) => {
+    try {
+      const sale = await loadSaleDetail(req.params.id);
+      if (!sale) return res.status(404).json({ error: "Sale not found" });
+      const size = req.query.size?.toString() === "A5" ? "A5" : "A4";
+      const doc = pdfInvoice(await getShopProfile(), sale, { size });
+      sendPdf(res, doc, `${sale.invoiceNo}.pdf`);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+app.get(
+  "/api/v1/sales/:id/receipt.txt",
+  auth,
+  can("sales:read"),
+  async (req, res) => {
+    try {
+      const sale = await loadSaleDetail(req.params.id);
+      if (!sale) return res.status(404).json({ error: "Sale not found" });
+      sendThermal(
+        req,
+        res,
+        thermalInvoice(await getShopProfile(), sale, thermalOpts(req))
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Kuitansi untuk 1 baris Payment (dari POST /payments).
+// Kalau payment bagian dari kuitansi gabungan, yang dicetak kuitansinya.
+async function loadPaymentReceipt(paymentId) {
+  const pay = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      sale: {
+        include: {
+          customer: { select: { id: true, name: true } },
+          payments: { orderBy: { date: "asc" }, select: { id: true } },
+        },
+      },
+    },
+  });
+  if (!pay) return null;
+  if (pay.receiptId) return loadCustomerReceipt(pay.receiptId);
+  const s = pay.sale;
+  // data lama tanpa nomor kuitansi: turunan dari no. invoice
+  const seq = s.payments.findIndex((p) => p.id === pay.id) + 1;
+  const dueAfter = s.grandTotal - s.returnedTotal - s.amountPaid;
+  return {
+    receiptNo: pay.receiptNo ?? `${s.invoiceNo}-P${seq}`,
+    date: pay.date,
+    customer: s.customer,
+    method: pay.method,
+    refNo: pay.refNo,
+    amount: pay.amount,
+    note: null,
+    lines: [{ invoiceNo: s.invoiceNo, amount: pay.amount, dueAfter }],
+  };
+}
+
+async function loadCustomerReceipt(id) {
+  const rcp = await prisma.customerReceipt.findUnique({
+    where: { id },
+    include: {
+      customer: { select: { id: true, name: true } },
+      payments: {
+        include: {
+          sale: {
+            select: {
+              invoiceNo: true,
+              grandTotal: true,
+              returnedTotal: true,
+              amountPaid: true,
+            },
+          },
+        },
+      },
+    },
+  });
+  if (!rcp) return null;
+  return {
+    receiptNo: rcp.receiptNo,
+    date: rcp.date,
+    customer: rcp.customer,
+    method: rcp.method,
+    refNo: rcp.refNo,
+    amount: rcp.amount,
+    note: rcp.note,
+    lines: rcp.payments.map((p) => ({
+      invoiceNo: p.sale.invoiceNo,
+      amount: p.amount,
+      dueAfter: p.sale.grandTotal - p.sale.returnedTotal - p.sale.amountPaid,
+    })),
+  };
+}
+
+const printReceipt = (loader, kind) => async (req, res) => {
+  try {
+    const receipt = await loader(req.params.id);
+    if (!receipt) return res.status(404).json({ error: "Receipt not found" });
+    const shop = await getShopProfile();
+    if (kind === "pdf") {
+      const size = req.query.size?.toString() === "A4" ? "A4" : "A5";
+      const doc = pdfPaymentReceipt(shop, receipt, { size });
+      return sendPdf(res, doc, `${receipt.receiptNo}.pdf`);
+    }
+    sendThermal(
+      req,
+      res,
+      thermalPaymentReceipt(shop, receipt, thermalOpts(req))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+app.get(
+  "/api/v1/payments/:id/receipt.pdf",
+  auth,
+  can("sales:read"),
+  printReceipt(loadPaymentReceipt, "pdf")
+);
+app.get(
+  "/api/v1/payments/:id/receipt.txt",
+  auth,
+  can("sales:read"),
+  printReceipt(loadPaymentReceipt, "txt")
+);
+app.get(
+  "/api/v1/customer-receipts/:id/receipt.pdf",
+  auth,
+  can("customers:read"),
+  printReceipt(loadCustomerReceipt, "pdf")
+);
+app.get(
+  "/api/v1/customer-receipts/:id/receipt.txt",
+  auth,
+  can("customers:read"),
+  printReceipt(loadCustomerReceipt, "txt")
+);
+
+/* ================= REPORTS (viewer boleh) ================= */
+// Penjualan (range)
+app.get(
+  "/api/v1/reports/sales",
+  auth,
+  can("reports:read"),
+  async (req, res) => {
+    try {
+      const fromStr = (req.query.from || "").toString();
+      const toStr = (req.query.to || "").toString();
+
+      const now = new Date();
+      const defaultFrom = new Date(now);
+      defaultFrom.setDate(defaultFrom.getDate() - 30);
+      defaultFrom.setHours(0, 0, 0, 0);
+
+      const from = fromStr ? new Date(`${fromStr}T00:00:00.000Z`) : defaultFrom;
+      const to = toStr
+        ? new Date(`${toStr}T23:59:59.999Z`)
+        : new Date(new Date().setHours(23, 59, 59, 999));
+
+      const locationId = (req.query.locationId || "").toString().trim();
+
+      const list = await prisma.sale.findMany({
+        where: {
+          date: { gte: from, lte: to },
+          voidedAt: null,
+          ...(locationId ? { locationId } : {}),
+        },
+        orderBy: { date: "desc" },
+      });
+      const total = list.reduce(
+        (a, s) => a + s.grandTotal - s.returnedTotal,
+        0
+      );
+      const sum = (k) => list.reduce((a, s) => a + s[k], 0);
+      const gross = sum("grossTotal");
+      const discount = sum("lineDiscount") + sum("discountAmount");
+      res.json({
+        total,
+        summary: {
+          gross,
+          lineDiscount: sum("lineDiscount"),
+          invoiceDiscount: sum("discountAmount"),
+          discount,
+          net: gross - discount,
+          tax: sum("taxAmount"),
+          returned: sum("returnedTotal"),
+          total,
+        },
+        list,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Barang Masuk
+app.get(
+  "/api/v1/reports/stock-in",
+  auth,
+  can("reports:read"),
+  async (req, res) => {
+    try {
+      const fromStr = (req.query.from || "").toString();
+      const toStr = (req.query.to || "").toString();
+
+      const now = new Date();
+      const defaultFrom = new Date(now);
+      defaultFrom.setDate(defaultFrom.getDate() - 30);
+      defaultFrom.setHours(0, 0, 0, 0);
+
+      const from = fromStr ? new Date(`${fromStr}T00:00:00.000Z`) : defaultFrom;
+      const to = toStr
+        ? new Date(`${toStr}T23:59:59.999Z`)
+        : new Date(new Date().setHours(23, 59, 59, 999));
+
+      const supplierId = (req.query.supplierId || "").toString().trim();
+      const locationId = (req.query.locationId || "").toString().trim();
+
+      // hanya pembelian/saldo awal; IN dari retur, void & transfer tidak dihitung
+      const all = await prisma.stockMovement.findMany({
+        where: {
+          type: "IN",
+          reason: { in: ["StockIn", "Opening"] },
+          date: { gte: from, lte: to },
+          ...(locationId ? { locationId } : {}),
+        },
+        include: { product: true },
+        orderBy: { date: "desc" },
+      });
+
+      // Supplier diambil dari GoodsReceipt (refId movement barang masuk)
+      const refIds = Array.from(
+        new Set(all.map((m) => m.refId).filter(Boolean))
+      );
+      const receipts = refIds.length
+        ? await prisma.goodsReceipt.findMany({
+            where: { id: { in: refIds } },
+            include: { supplier: { select: { id: true, name: true } } },
+          })
+        : [];
+      const receiptMap = new Map(receipts.map((r) => [r.id, r]));
+
+      const list = supplierId
+        ? all.filter((m) => receiptMap.get(m.refId)?.supplierId === supplierId)
+        : all;
+
+      const totalQty = list.reduce((a, m) => a + m.qty, 0);
+      const totalValue = list.reduce(
+        (a, m) => a + (m.unitCost ?? 0) * m.qty,
+        0
+      );
+
+      const data = list.map((m) => {
+        const r = receiptMap.get(m.refId);
+        return {
+          id: m.id,
+          date: m.date,
+          productId: m.productId,
+          productName: m.product.name,
+          qty: m.qty,
+          unitCost: m.unitCost ?? 0,
+          value: (m.unitCost ?? 0) * m.qty,
+          note: m.note || "",
+          reason: m.reason,
+          receiptId: r?.id ?? null,
+          receiptNo: r?.receiptNo ?? null,
+          supplierId: r?.supplier?.id ?? null,
+          supplierName: r?.supplier?.name ?? null,
+        };
+      });
+
+      const supplierMap = new Map();
+      for (const d of data) {
+        const k = d.supplierId ?? "-";
+        const row = supplierMap.get(k) || {
+          supplierId: d.supplierId,
+          supplierName: d.supplierName ?? "Tanpa supplier",
+          receipts: new Set(),
+          qty: 0,
+          value: 0,
+        };
+        if (d.receiptId) row.receipts.add(d.receiptId);
+        row.qty += d.qty;
+        row.value += d.value;
+        supplierMap.set(k, row);
+      }
+      const bySupplier = Array.from(supplierMap.values())
+        .map((r) => ({ ...r, receipts: r.receipts.size }))
+        .sort((a, b) => b.value - a.value);
+
+      // Sisa PO yang belum diterima (posisi saat ini, tidak ikut range)
+      const openLines = await prisma.purchaseOrderLine.findMany({
+        where: {
+          po: {
+            status: { in: ["OPEN", "PARTIAL"] },
+            ...(supplierId ? { supplierId } : {}),
+          },
+        },
+        include: {
+          product: { select: { name: true, unit: true } },
+          po: {
+            select: {
+              id: true,
+              poNo: true,
+              date: true,
+              expectedAt: true,
+              supplier: { select: { id: true, name: true } },
+            },
+          },
+        },
+      });
+      const outstanding = openLines
+        .filter((l) => l.qty > l.receivedQty)
+        .map((l) => ({
+          poId: l.po.id,
+          poNo: l.po.poNo,
+          poDate: l.po.date,
+          expectedAt: l.po.expectedAt,
+          supplierId: l.po.supplier.id,
+          supplierName: l.po.supplier.name,
+          productId: l.productId,
+          productName: l.product.name,
+          unit: l.product.unit,
+          orderedQty: l.qty,
+          receivedQty: l.receivedQty,
+          outstandingQty: l.qty - l.receivedQty,
+          outstandingValue: (l.qty - l.receivedQty) * l.unitCost,
+        }));
+
+      res.json({
+        totalQty,
+        totalValue,
+        list: data,
+        bySupplier,
+        outstanding,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// TOTAL PENJUALAN (all-time / range)
+app.get(
+  "/api/v1/reports/total-sales",
+  auth,
+  can("reports:read"),
+  async (req, res) => {
+    try {
+      const fromStr = (req.query.from || "").toString().trim();
+      const toStr = (req.query.to || "").toString().trim();
+      const useRange = !!(fromStr && toStr);
+      const locationId = (req.query.locationId || "").toString().trim();
+
+      let where = { voidedAt: null, ...(locationId ? { locationId } : {}) };
+      if (useRange) {
+        const from = new Date(`${fromStr}T00:00:00.000Z`);
+        const to = new Date(`${toStr}T23:59:59.999Z`);
+        where = { ...where, date: { gte: from, lte: to } };
+      }
+
+      const agg = await prisma.sale.aggregate({
+        where,
+        _sum: { grandTotal: true, returnedTotal: true },
+        _min: { date: true },
+        _max: { date: true },
+      });
+
+      res.json({
+        mode: useRange ? "range" : "all-time",
+        range: useRange ? { from: fromStr, to: toStr } : null,
+        total: (agg._sum.grandTotal || 0) - (agg._sum.returnedTotal || 0),
+        firstSaleAt: agg._min.date || null,
+        lastSaleAt: agg._max.date || null,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// UMUR PIUTANG per pelanggan: 0-30 / 31-60 / 61-90 / 90+ hari
+app.get(
+  "/api/v1/reports/receivables-aging",
+  auth,
+  can("reports:read"),
+  async (req, res) => {
+    try {
+      const asOfStr = (req.query.asOf || "").toString().trim();
+      const asOf = asOfStr
+        ? new Date(`${asOfStr}T23:59:59.999Z`)
+        : new Date(new Date().setHours(23, 59, 59, 999));
+      const DAY = 24 * 60 * 60 * 1000;
+
+      const sales = await prisma.sale.findMany({
+        where: {
+          voidedAt: null,
+          paymentStatus: { in: ["Piutang", "Sebagian"] },
+          date: { lte: asOf },
+        },
+        include: {
+          customer: { select: { id: true, name: true, creditLimit: true } },
+        },
+        orderBy: { date: "asc" },
+      });
+
+      const BUCKETS = ["d0_30", "d31_60", "d61_90", "d90plus"];
+      const bucketOf = (days) =>
+        days <= 30
+          ? "d0_30"
+          : days <= 60
+          ? "d31_60"
+          : days <= 90
+          ? "d61_90"
+          : "d90plus";
+      const emptyBuckets = () => Object.fromEntries(BUCKETS.map((b) => [b, 0]));
+
+      const totals = emptyBuckets();
+      const customerMap = new Map();
+      for (const s of sales) {
+        const due = s.grandTotal - s.returnedTotal - s.amountPaid;
+        if (due <= 0) continue;
+        const days = Math.floor((asOf - s.date) / DAY);
+        const bucket = bucketOf(days);
+        const key = s.customerId ?? "-";
+        const row = customerMap.get(key) || {
+          customerId: s.customerId,
+          customerName: s.customer?.name ?? "Umum",
+          creditLimit: s.customer?.creditLimit ?? null,
+          total: 0,
+          invoices: [],
+          oldestDays: 0,
+          ...emptyBuckets(),
+        };
+        row[bucket] += due;
+        row.total += due;
+        row.oldestDays = Math.max(row.oldestDays, days);
+        row.invoices.push({
+          saleId: s.id,
+          invoiceNo: s.invoiceNo,
+          date: s.date,
+          days,
+          bucket,
+          due,
+        });
+        totals[bucket] += due;
+        customerMap.set(key, row);
+      }
+
+      const customers = Array.from(customerMap.values()).sort(
+        (a, b) => b.total - a.total
+      );
+      res.json({
+        asOf,
+        total: customers.reduce((a, c) => a + c.total, 0),
+        buckets: totals,
+        customers,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// HUTANG SUPPLIER per umur jatuh tempo (?asOf=YYYY-MM-DD)
+app.get(
+  "/api/v1/reports/payables",
+  auth,
+  can("reports:read"),
+  async (req, res) => {
+    try {
+      const asOfStr = (req.query.asOf || "").toString().trim();
+      const asOf = asOfStr
+        ? new Date(`${asOfStr}T23:59:59.999Z`)
+        : new Date(new Date().setHours(23, 59, 59, 999));
+      const DAY = 24 * 60 * 60 * 1000;
+      const weekEnd = new Date(asOf.getTime() + 7 * DAY);
+
+      const bills = await prisma.purchaseBill.findMany({
+        where: {
+          paymentStatus: { in: ["Belum", "Sebagian"] },
+          billDate: { lte: asOf },
+        },
+        include: { supplier: { select: { id: true, name: true } } },
+        orderBy: { dueDate: "asc" },
+      });
+
+      const BUCKETS = [
+        "notDue",
+        "dueThisWeek",
+        "overdue1_30",
+        "overdue31_60",
+        "overdue61_90",
+        "overdue90plus",
+      ];
+      const bucketOf = (due) => {
+        if (due > weekEnd) return "notDue";
+        if (due >= new Date(asOf.getTime() - DAY + 1)) return "dueThisWeek";
+        const days = Math.floor((asOf - due) / DAY);
+        if (days <= 30) return "overdue1_30";
+        if (days <= 60) return "overdue31_60";
+        if (days <= 90) return "overdue61_90";
+        return "overdue90plus";
+      };
+      const emptyBuckets = () => Object.fromEntries(BUCKETS.map((b) => [b, 0]));
+
+      const list = bills.map((b) => ({
+        id: b.id,
+        billNo: b.billNo,
+        supplierInvoiceNo: b.supplierInvoiceNo,
+        supplierId: b.supplier.id,
+        supplierName: b.supplier.name,
+        billDate: b.billDate,
+        dueDate: b.dueDate,
+        total: b.total,
+        amountPaid: b.amountPaid,
+        due: b.total - b.amountPaid,
+        daysOverdue: Math.max(0, Math.floor((asOf - b.dueDate) / DAY)),
+        bucket: bucketOf(b.dueDate),
+      }));
+
+      const totals = emptyBuckets();
+      const supplierMap = new Map();
+      for (const b of list) {
+        totals[b.bucket] += b.due;
+        const row = supplierMap.get(b.supplierId) || {
+          supplierId: b.supplierId,
+          supplierName: b.supplierName,
+          total: 0,
+          ...emptyBuckets(),
+        };
+        row[b.bucket] += b.due;
+        row.total += b.due;
+        supplierMap.set(b.supplierId, row);
+      }
+
+      res.json({
+        asOf,
+        total: list.reduce((a, b) => a + b.due, 0),
+        buckets: totals,
+        bySupplier: Array.from(supplierMap.values()).sort(
+          (a, b) => b.total - a.total
+        ),
+        dueThisWeek: list.filter((b) => b.bucket === "dueThisWeek"),
+        list,
+      });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// PROFIT (pendapatan - HPP dari batch barang masuk, FIFO / AVG)
+app.get(
+  "/api/v1/reports/profit",
+  auth,
+  can("reports:profit"),
+  async (req, res) => {
+    try {
+      const fromStr = (req.query.from || "").toString().trim();
+      const toStr = (req.query.to || "").toString().trim();
+
+      const useRange = !!(fromStr && toStr);
+      const locationId = (req.query.locationId || "").toString().trim();
+      const whereSale = {
+        voidedAt: null,
+        ...(locationId ? { locationId } : {}),
+      };
+
+      let whereSaleItem = { sale: whereSale };
+      if (useRange) {
+        const from = new Date(`${fromStr}T00:00:00.000Z`);
+        const to = new Date(`${toStr}T23:59:59.999Z`);
+        whereSaleItem = {
+          sale: { ...whereSale, date: { gte: from, lte: to } },
+        };
+      }
+
+      const items = await prisma.saleItem.findMany({
+        where: whereSaleItem,
+        select: {
+          qty: true,
+          unitQty: true,
+          returnedQty: true,
+          unitPrice: true,
+          discountAmount: true,
+          lineTotal: true,
+          invoiceDiscount: true,
+          costTotal: true,
+          productId: true,
+          sale: { select: { id: true, invoiceNo: true, date: true } },
+          product: { select: { name: true, category: true, costPrice: true } },
+        },
+      });
+
+      // Per item: revenue (setelah semua diskon, tanpa PPN) & HPP bersih
+      // dari retur. HPP diambil dari batch yang terpakai saat jual; data lama
+      // (costTotal null) pakai costPrice.
+      const lines = items.map((it) => {
+        const netQty = it.qty - it.returnedQty;
+        const part = (n) => Math.round((n * netQty) / it.qty);
+        const gross = part(it.unitPrice * it.unitQty);
+        const discount = part(it.discountAmount + it.invoiceDiscount);
+        const revenue = part(it.lineTotal - it.invoiceDiscount);
+        const cogs =
+          it.costTotal != null
+            ? part(it.costTotal)
+            : (it.product?.costPrice || 0) * netQty;
+        return { ...it, netQty, gross, discount, revenue, cogs };
+      });
+
+      const group = (keyFn, init) => {
+        const map = new Map();
+        for (const l of lines) {
+          const k = keyFn(l);
+          const row = map.get(k) || { ...init(l), qty: 0, revenue: 0, cogs: 0 };
+          row.qty += l.netQty;
+          row.revenue += l.revenue;
+          row.cogs += l.cogs;
+          map.set(k, row);
+        }
+        return Array.from(map.values())
+          .map((r) => ({
+            ...r,
+            profit: r.revenue - r.cogs,
+            marginPct: r.revenue
+              ? Math.round(((r.revenue - r.cogs) / r.revenue) * 10000) / 100
+              : 0,
+          }))
+          .sort((x, y) => y.profit - x.profit);
+      };
+
+      const bySale = group(
+        (l) => l.sale.id,
+        (l) => ({
+          saleId: l.sale.id,
+          invoiceNo: l.sale.invoiceNo,
+          date: l.sale.date,
+        })
+      );
+      const byProduct = group(
+        (l) => l.productId,
+        (l) => ({
+          productId: l.productId,
+          productName: l.product?.name ?? "-",
+          category: l.product?.category ?? "-",
+        })
+      );
+      const byCategory = group(
+        (l) => l.product?.category ?? "-",
+        (l) => ({ category: l.product?.category ?? "-" })
+      );
+
+      const gross = lines.reduce((a, l) => a + l.gross, 0);
+      const discount = lines.reduce((a, l) => a + l.discount, 0);
+      const revenue = lines.reduce((a, l) => a + l.revenue, 0);
+      const cogs = lines.reduce((a, l) => a + l.cogs, 0);
+      const profit = revenue - cogs;
+      const pids = byProduct.map((p) => p.productId);
+
+      const agg = await prisma.sale.aggregate({
+        where: whereSale,
+        _min: { date: true },
+        _max: { date: true },
+      });
+
+      res.json({
+        mode: useRange ? "range" : "all-time",
+        range: useRange ? { from: fromStr, to: toStr } : null,
+        dataset: {
+          firstSaleAt: agg._min.date || null,
+          lastSaleAt: agg._max.date || null,
+          saleItems: items.length,
+          productsInvolved: pids.length,
+        },
+        costing: COSTING_METHOD,
+        gross,
+        discount,
+        revenue,
+        cogs,
+        profit,
+        bySale,
+        byProduct,
+        byCategory,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// NILAI PERSEDIAAN per tanggal: ?asOf=YYYY-MM-DD (default sekarang)
+// &locationId=. Qty direkonstruksi dari jumlah movement s/d asOf; nilai =
+// qty x rata-rata tertimbang harga beli (Opening/StockIn) s/d asOf, produk
+// tanpa riwayat harga pakai costPrice. `drift` = stok tersimpan saat ini
+// (Product.stockQty / ProductStock) dikurangi jumlah SEMUA movement.
+app.get(
+  "/api/v1/reports/inventory-valuation",
+  auth,
+  can("reports:profit"),
+  async (req, res) => {
+    try {
+      const asOfStr = (req.query.asOf || "").toString().trim();
+      const asOf = asOfStr
+        ? /^\d{4}-\d{2}-\d{2}$/.test(asOfStr)
+          ? new Date(`${asOfStr}T23:59:59.999Z`)
+          : new Date(asOfStr)
+        : new Date();
+      if (isNaN(asOf))
+        return res.status(400).json({ error: "asOf tidak valid" });
+      const locationId = (req.query.locationId || "").toString().trim() || null;
+
+      const rows = await prisma.$queryRaw`
+        SELECT p.id AS "productId", p.sku, p.name, p.category, p.unit,
+               p."costPrice", p."isActive",
+               CASE WHEN ${locationId}::text IS NULL THEN p."stockQty"
+                    ELSE COALESCE((SELECT ps.qty FROM "ProductStock" ps
+                                   WHERE ps."productId" = p.id
+                                     AND ps."locationId" = ${locationId}), 0)
+               END AS "stockQty",
+               COALESCE(SUM(CASE WHEN m.type = 'OUT' THEN -m.qty ELSE m.qty END)
+                        FILTER (WHERE m.date <= ${asOf}), 0)::int AS qty,
+               COALESCE(SUM(CASE WHEN m.type = 'OUT' THEN -m.qty ELSE m.qty END),
+                        0)::int AS "movementQty",
+               SUM(m.qty)
+                 FILTER (WHERE m.date <= ${asOf} AND m.type = 'IN'
+                           AND m.reason IN ('Opening', 'StockIn')
+                           AND m."unitCost" IS NOT NULL)::float8 AS "inQty",
+               SUM(m.qty * m."unitCost")
+                 FILTER (WHERE m.date <= ${asOf} AND m.type = 'IN'
+                           AND m.reason IN ('Opening', 'StockIn')
+                           AND m."unitCost" IS NOT NULL)::float8 AS "inValue"
+        FROM "Product" p
+        LEFT JOIN "StockMovement" m
+          ON m."productId" = p.id
+         AND (${locationId}::text IS NULL OR m."locationId" = ${locationId})
+        GROUP BY p.id
+        ORDER BY p.category, p.name
+      `;
+
+      const products = rows
+        .map((r) => {
+          const avgCost = r.inQty
+            ? Math.round(r.inValue / r.inQty)
+            : r.costPrice;
+          const drift = r.stockQty - r.movementQty;
+          return {
+            productId: r.productId,
+            sku: r.sku,
+            name: r.name,
+            category: r.category,
+            unit: r.unit,
+            isActive: r.isActive,
+            qty: r.qty,
+            avgCost,
+            value: r.qty * avgCost,
+            stockQty: r.stockQty,
+            movementQty: r.movementQty,
+            drift,
+            hasDrift: drift !== 0,
+          };
+        })
+        .filter((p) => p.qty !== 0 || p.hasDrift);
+
+      const byCategory = Array.from(
+        products
+          .reduce((map, p) => {
+            const c = map.get(p.category) || {
+              category: p.category,
+              products: 0,
+              qty: 0,
+              value: 0,
+            };
+            c.products++;
+            c.qty += p.qty;
+            c.value += p.value;
+            return map.set(p.category, c);
+          }, new Map())
+          .values()
+      );
+
+      const drifted = products.filter((p) => p.hasDrift);
+      res.json({
+        asOf,
+        locationId,
+        costBasis: "weighted-average-purchase",
+        totalValue: products.reduce((a, p) => a + p.value, 0),
+        byCategory,
+        driftCount: drifted.length,
+        drift: drifted.map((p) => ({
+          productId: p.productId,
+          name: p.name,
+          stockQty: p.stockQty,
+          movementQty: p.movementQty,
+          drift: p.drift,
+        })),
+        products,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// DASHBOARD ANALYTICS: ?from=&to= (default 30 hari) &bucket=day|week|month
+// &top=10 &locationId=. Semua angka dibandingkan dengan periode sebelumnya
+// yang sama panjang. Revenue & HPP dihitung seperti /reports/profit
+// (setelah diskon, tanpa PPN, bersih dari retur); bucket dalam UTC.
+const ANALYTICS_BUCKETS = ["day", "week", "month"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const compare = (current, previous) => ({
+  current,
+  previous,
+  delta: current - previous,
+  pct: previous ? round2(((current - previous) / previous) * 100) : null,
+});
+const marginPct = (revenue, profit) =>
+  revenue ? round2((profit / revenue) * 100) : 0;
+
+app.get(
+  "/api/v1/reports/analytics",
+  auth,
+  can("reports:profit"),
+  async (req, res) => {
+    try {
+      const bucket = (req.query.bucket || "day").toString();
+      if (!ANALYTICS_BUCKETS.includes(bucket))
+        return res
+          .status(400)
+          .json({ error: `bucket harus ${ANALYTICS_BUCKETS.join(" | ")}` });
+      const top = Math.min(Math.max(Number(req.query.top) || 10, 1), 50);
+      const locationId = (req.query.locationId || "").toString().trim() || null;
+
+      const DAY = 24 * 60 * 60 * 1000;
+      const range = parseDateRange(req.query);
+      const to = range.to ?? new Date(new Date().setUTCHours(23, 59, 59, 999));
+      const from =
+        range.from ??
+        new Date(new Date(to.getTime() - 29 * DAY).setUTCHours(0, 0, 0, 0));
+      if (from > to) return res.status(400).json({ error: "from > to" });
+      const span = to.getTime() - from.getTime() + 1;
+      const prevFrom = new Date(from.getTime() - span);
+      const prevTo = new Date(from.getTime() - 1);
+
+      // Baris item penjualan kedua periode; cur = periode yang diminta
+      const lines = Prisma.sql`
+        SELECT s.id AS "saleId", s.date, s."customerId", s.date >= ${from} AS cur,
+               i."productId", p.name, p.category,
+               (i.qty - i."returnedQty") AS qty,
+               ROUND((i."lineTotal" - i."invoiceDiscount")::numeric
+                     * (i.qty - i."returnedQty") / NULLIF(i.qty, 0)) AS revenue,
+               ROUND(COALESCE(i."costTotal", p."costPrice" * i.qty)::numeric
+                     * (i.qty - i."returnedQty") / NULLIF(i.qty, 0)) AS cogs
+        FROM "SaleItem" i
+        JOIN "Sale" s ON s.id = i."saleId"
+        JOIN "Product" p ON p.id = i."productId"
+        WHERE s."voidedAt" IS NULL
+          AND s.date BETWEEN ${prevFrom} AND ${to}
+          AND (${locationId}::text IS NULL OR s."locationId" = ${locationId})
+      `;
+      const sums = Prisma.sql`
+        COALESCE(SUM(qty) FILTER (WHERE cur), 0)::float8 AS qty,
+        COALESCE(SUM(revenue) FILTER (WHERE cur), 0)::float8 AS revenue,
+        COALESCE(SUM(cogs) FILTER (WHERE cur), 0)::float8 AS cogs,
+        COUNT(DISTINCT "saleId") FILTER (WHERE cur)::int AS transactions,
+        COALESCE(SUM(qty) FILTER (WHERE NOT cur), 0)::float8 AS "prevQty",
+        COALESCE(SUM(revenue) FILTER (WHERE NOT cur), 0)::float8 AS "prevRevenue",
+        COALESCE(SUM(cogs) FILTER (WHERE NOT cur), 0)::float8 AS "prevCogs",
+        COUNT(DISTINCT "saleId") FILTER (WHERE NOT cur)::int AS "prevTransactions"
+      `;
+
+      const [
+        series,
+        totals,
+        baskets,
+        byQty,
+        byMargin,
+        customers,
+        categories,
+        methods,
+      ] = await Promise.all([
+        // time series, bucket kosong tetap muncul (generate_series)
+        prisma.$queryRaw`
+            WITH lines AS (${lines}),
+            buckets AS (
+              SELECT generate_series(
+                date_trunc(${bucket}, ${from}::timestamp),
+                date_trunc(${bucket}, ${to}::timestamp),
+                ('1 ' || ${bucket})::interval
+              ) AS bucket
+            ),
+            agg AS (
+              SELECT date_trunc(${bucket}, date) AS bucket,
+                     COALESCE(SUM(revenue), 0)::float8 AS revenue,
+                     COALESCE(SUM(cogs), 0)::float8 AS cogs,
+                     COUNT(DISTINCT "saleId")::int AS transactions
+              FROM lines WHERE cur GROUP BY 1
+            )
+            SELECT b.bucket, COALESCE(a.revenue, 0) AS revenue,
+                   COALESCE(a.cogs, 0) AS cogs,
+                   COALESCE(a.transactions, 0) AS transactions
+            FROM buckets b LEFT JOIN agg a ON a.bucket = b.bucket
+            ORDER BY b.bucket`,
+        prisma.$queryRaw`WITH lines AS (${lines}) SELECT ${sums} FROM lines`,
+        // nilai & isi keranjang dari header Sale (termasuk PPN, bersih retur)
+        prisma.$queryRaw`
+            SELECT (s.date >= ${from}) AS cur, COUNT(*)::int AS sales,
+                   SUM(s."grandTotal" - s."returnedTotal")::float8 AS value,
+                   SUM((SELECT COUNT(*) FROM "SaleItem" i
+                        WHERE i."saleId" = s.id))::float8 AS lines
+            FROM "Sale" s
+            WHERE s."voidedAt" IS NULL
+              AND s.date BETWEEN ${prevFrom} AND ${to}
+              AND (${locationId}::text IS NULL OR s."locationId" = ${locationId})
+            GROUP BY 1`,
+        prisma.$queryRaw`
+            WITH lines AS (${lines})
+            SELECT "productId", name, category, ${sums} FROM lines
+            GROUP BY "productId", name, category
+            HAVING SUM(qty) FILTER (WHERE cur) > 0
+            ORDER BY qty DESC, revenue DESC LIMIT ${top}`,
+        prisma.$queryRaw`
+            WITH lines AS (${lines})
+            SELECT * FROM (
+              SELECT "productId", name, category, ${sums} FROM lines
+              GROUP BY "productId", name, category
+              HAVING SUM(qty) FILTER (WHERE cur) > 0
+            ) t ORDER BY revenue - cogs DESC, revenue DESC LIMIT ${top}`,
+        prisma.$queryRaw`
+            WITH lines AS (${lines})
+            SELECT l."customerId", c.name, ${sums}
+            FROM lines l JOIN "Customer" c ON c.id = l."customerId"
+            GROUP BY l."customerId", c.name
+            HAVING SUM(revenue) FILTER (WHERE cur) > 0
+            ORDER BY revenue DESC LIMIT ${top}`,
+        prisma.$queryRaw`
+            WITH lines AS (${lines})
+            SELECT category, ${sums} FROM lines
+            GROUP BY category ORDER BY revenue DESC`,
+        // uang masuk per metode (refund bernilai negatif)
+        prisma.$queryRaw`
+            SELECT p.method,
+                   COALESCE(SUM(p.amount) FILTER (WHERE p.date >= ${from}), 0)::float8 AS amount,
+                   COUNT(*) FILTER (WHERE p.date >= ${from} AND p.amount > 0)::int AS count,
+                   COALESCE(SUM(p.amount) FILTER (WHERE p.date < ${from}), 0)::float8 AS "prevAmount",
+                   COUNT(*) FILTER (WHERE p.date < ${from} AND p.amount > 0)::int AS "prevCount"
+            FROM "Payment" p
+            JOIN "Sale" s ON s.id = p."saleId"
+            WHERE s."voidedAt" IS NULL
+              AND p.date BETWEEN ${prevFrom} AND ${to}
+              AND (${locationId}::text IS NULL OR s."locationId" = ${locationId})
+            GROUP BY p.method ORDER BY amount DESC`,
+      ]);
+
+      // baris agregat -> angka periode ini + pembanding periode lalu
+      const metrics = (r) => {
+        const profit = r.revenue - r.cogs;
+        const prevProfit = r.prevRevenue - r.prevCogs;
+        return {
+          qty: compare(r.qty, r.prevQty),
+          revenue: compare(r.revenue, r.prevRevenue),
+          cogs: compare(r.cogs, r.prevCogs),
+          profit: compare(profit, prevProfit),
+          marginPct: compare(
+            marginPct(r.revenue, profit),
+            marginPct(r.prevRevenue, prevProfit)
+          ),
+          transactions: compare(r.transactions, r.prevTransactions),
+        };
+      };
+      const share = (rows, key) => {
+        const total = rows.reduce((a, r) => a + r[key], 0);
+        return (r) => (total ? round2((r[key] / total) * 100) : 0);
+      };
+
+      const basket = (cur) => {
+        const b = baskets.find((x) => x.cur === cur) ?? {};
+        return {
+          sales: b.sales ?? 0,
+          value: b.sales ? Math.round(b.value / b.sales) : 0,
+          lines: b.sales ? round2(b.lines / b.sales) : 0,
+        };
+      };
+      const [bNow, bPrev] = [basket(true), basket(false)];
+      const catShare = share(categories, "revenue");
+      const catPrevShare = share(categories, "prevRevenue");
+      const payShare = share(methods, "amount");
+
+      res.json({
+        range: { from, to, bucket, locationId },
+        previous: { from: prevFrom, to: prevTo },
+        totals: metrics(totals[0]),
+        avgBasket: {
+          value: compare(bNow.value, bPrev.value),
+          lines: compare(bNow.lines, bPrev.lines),
+        },
+        series: series.map((r) => ({
+          bucket: r.bucket,
+          revenue: r.revenue,
+          cogs: r.cogs,
+          profit: r.revenue - r.cogs,
+          transactions: r.transactions,
+        })),
+        topProductsByQty: byQty.map((r) => ({
+          productId: r.productId,
+          name: r.name,
+          category: r.category,
+          ...metrics(r),
+        })),
+        topProductsByMargin: byMargin.map((r) => ({
+          productId: r.productId,
+          name: r.name,
+          category: r.category,
+          ...metrics(r),
+        })),
+        topCustomers: customers.map((r) => ({
+          customerId: r.customerId,
+          name: r.name,
+          ...metrics(r),
+        })),
+        categories: categories.map((r) => ({
+          category: r.category,
+          sharePct: compare(catShare(r), catPrevShare(r)),
+          ...metrics(r),
+        })),
+        paymentMethods: methods.map((r) => ({
+          method: r.method,
+          amount: compare(r.amount, r.prevAmount),
+          count: compare(r.count, r.prevCount),
+          sharePct: payShare(r),
+        })),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
 
-    const paid = sale.payments.reduce((a, p) => a + p.amount, 0);
-    const due = sale.grandTotal - paid;
-    if (payload.amount > due)
-      return res.status(400).json({ error: "Nominal melebihi sisa tagihan" });
+/* ================= IMPORT & EXPORT (CSV / XLSX) ================= */
+// Upload: body mentah file (Content-Type text/csv atau xlsx), maks 10 MB.
+// ?dryRun=1 -> hanya validasi. Tanpa dryRun: semua baris valid -> disimpan
+// dalam 1 transaksi; ada 1 baris error -> tidak ada yang disimpan.
+const IMPORT_MAX_ROWS = 5000;
+const tableUpload = express.raw({
+  type: [CSV_TYPE, XLSX_TYPE, "application/octet-stream", "text/plain"],
+  limit: "10mb",
+});
 
-    const saved = await prisma.$transaction(async (tx) => {
-      const pay = await tx.payment.create({ data: { ...payload } });
-      const newPaid = paid + payload.amount;
-      const newStatus = newPaid >= sale.grandTotal ? "Lunas" : "Sebagian";
-      await tx.sale.update({
-        where: { id: sale.id },
-        data: { amountPaid: newPaid, paymentStatus: newStatus },
-      });
-      return pay;
-    });
+const tableFormat = (req) =>
+  (req.query.format || "").toString() === "xlsx" ||
+  (req.headers["content-type"] || "").includes("spreadsheetml")
+    ? "xlsx"
+    : "csv";
 
-    res.json(saved);
-  } catch (e) {
-    res.status(400).json({ error: e.message });
+async function readUpload(req) {
+  if (!Buffer.isBuffer(req.body) || !req.body.length)
+    throw new Error("File kosong. Kirim isi CSV/XLSX sebagai body request.");
+  const rows = await readTable(req.body, tableFormat(req));
+  if (!rows.length) throw new Error("Tidak ada baris data.");
+  if (rows.length > IMPORT_MAX_ROWS)
+    throw new Error(`Maksimal ${IMPORT_MAX_ROWS} baris per import.`);
+  return rows;
+}
+
+// Sel CSV selalu string: "" -> tidak diisi, kolom angka/boolean dikonversi.
+// Nilai yang gagal dikonversi dibiarkan supaya zod yang melaporkan.
+function rowInput(row, { numbers = [], booleans = [], dates = [] } = {}) {
+  const out = {};
+  for (const [k, raw] of Object.entries(row)) {
+    if (k === "_row") continue;
+    let v = raw instanceof Date ? raw : String(raw ?? "").trim();
+    if (v === "") continue;
+    if (numbers.includes(k) && typeof v === "string") {
+      const n = Number(v.replace(/\s/g, ""));
+      if (Number.isFinite(n)) v = n;
+    } else if (booleans.includes(k)) {
+      const b = v.toLowerCase();
+      if (["1", "true", "ya", "yes"].includes(b)) v = true;
+      else if (["0", "false", "tidak", "no"].includes(b)) v = false;
+    } else if (dates.includes(k) && v instanceof Date) {
+      v = v.toISOString().slice(0, 10);
+    }
+    out[k] = v;
   }
-});
+  return out;
+}
 
-/* ================= REPORTS (viewer boleh) ================= */
-// Penjualan (range)
-app.get("/api/v1/reports/sales", auth, viewerReadOnly, async (req, res) => {
-  try {
-    const fromStr = (req.query.from || "").toString();
-    const toStr = (req.query.to || "").toString();
+// Validasi semua baris; check(data, row) boleh melempar Error untuk
+// aturan tambahan (duplikat, referensi tidak ditemukan, ...)
+async function validateRows(rows, schema, prepare, check) {
+  const errors = [];
+  const valid = [];
+  for (const r of rows) {
+    const parsed = schema.safeParse(prepare(r));
+    if (!parsed.success) {
+      for (const i of parsed.error.issues)
+        errors.push({
+          row: r._row,
+          field: i.path.join("."),
+          message: i.message,
+        });
+      continue;
+    }
+    try {
+      valid.push({ row: r._row, data: await check(parsed.data, r) });
+    } catch (e) {
+      errors.push({ row: r._row, field: e.field ?? null, message: e.message });
+    }
+  }
+  return { valid, errors };
+}
 
-    const now = new Date();
-    const defaultFrom = new Date(now);
-    defaultFrom.setDate(defaultFrom.getDate() - 30);
-    defaultFrom.setHours(0, 0, 0, 0);
+const rowError = (field, message) =>
+  Object.assign(new Error(message), { field });
 
-    const from = fromStr ? new Date(`${fromStr}T00:00:00.000Z`) : defaultFrom;
-    const to = toStr
-      ? new Date(`${toStr}T23:59:59.999Z`)
-      : new Date(new Date().setHours(23, 59, 59, 999));
+// Jalankan import: validasi -> (dryRun | error) -> laporan, atau simpan semua
+async function runImport(req, res, entity, { validate, save }) {
+  try {
+    const rows = await readUpload(req);
+    const dryRun = ["1", "true"].includes(String(req.query.dryRun ?? ""));
+    const { valid, errors } = await validate(rows);
+    const report = {
+      entity,
+      dryRun,
+      total: rows.length,
+      valid: valid.length,
+      errors,
+    };
+    if (errors.length)
+      return res.status(dryRun ? 200 : 400).json({ ...report, saved: 0 });
+    if (dryRun) return res.json({ ...report, saved: 0 });
 
-    const list = await prisma.sale.findMany({
-      where: { date: { gte: from, lte: to } },
-      orderBy: { date: "desc" },
-    });
-    const total = list.reduce((a, s) => a + s.grandTotal, 0);
-    res.json({ total, list });
+    const result = await prisma.$transaction(
+      (tx) => save(tx, valid, req.user?.sub || "admin", req),
+      { timeout: 120000 }
+    );
+    res.json({ ...report, saved: valid.length, ...result });
   } catch (e) {
+    if (e?.code === "P2002")
+      return res
+        .status(409)
+        .json({ error: "Data duplikat (kode/SKU sudah dipakai)." });
     res.status(400).json({ error: e.message });
   }
-});
+}
 
-// Barang Masuk
-app.get("/api/v1/reports/stock-in", auth, viewerReadOnly, async (req, res) => {
-  try {
-    const fromStr = (req.query.from || "").toString();
-    const toStr = (req.query.to || "").toString();
-
-    const now = new Date();
-    const defaultFrom = new Date(now);
-    defaultFrom.setDate(defaultFrom.getDate() - 30);
-    defaultFrom.setHours(0, 0, 0, 0);
-
-    const from = fromStr ? new Date(`${fromStr}T00:00:00.000Z`) : defaultFrom;
-    const to = toStr
-      ? new Date(`${toStr}T23:59:59.999Z`)
-      : new Date(new Date().setHours(23, 59, 59, 999));
-
-    const list = await prisma.stockMovement.findMany({
-      where: { type: "IN", date: { gte: from, lte: to } },
-      include: { product: true },
-      orderBy: { date: "desc" },
-    });
+async function locationByCode(code) {
+  if (!code) return resolveLocation(prisma, null);
+  const loc = await prisma.location.findFirst({
+    where: { code: { equals: code, mode: "insensitive" }, isActive: true },
+  });
+  if (!loc) throw rowError("location", `Lokasi ${code} tidak ditemukan`);
+  return loc;
+}
 
-    const totalQty = list.reduce((a, m) => a + m.qty, 0);
-    const totalValue = list.reduce((a, m) => a + (m.unitCost ?? 0) * m.qty, 0);
+// Produk: kolom = field POST /products (+ location = kode lokasi stok awal).
+// Produk yang sudah ada (kolom id hasil export, atau SKU) -> diperbarui
+// hanya kolom yang ada di file; stok tidak diubah.
+const PRODUCT_NUMBERS = ["costPrice", "sellPrice", "stockQty", "minStock"];
+app.post(
+  "/api/v1/imports/products",
+  auth,
+  can("data:import", "products:edit"),
+  tableUpload,
+  (req, res) =>
+    runImport(req, res, "products", {
+      validate: async (rows) => {
+        const seen = new Set();
+        const canPrice = await userCan(req, "prices:edit");
+        const input = (r) =>
+          rowInput(r, {
+            numbers: PRODUCT_NUMBERS,
+            booleans: ["isActive"],
+            dates: ["expiryDate"],
+          });
+        return validateRows(
+          rows,
+          productSchema.extend({
+            id: z.string().optional(),
+            location: z.string().optional(),
+          }),
+          (r) => ({ stockQty: 0, ...input(r) }),
+          async ({ id, location, locationId, ...data }, r) => {
+            for (const [field, v] of [
+              ["id", id],
+              ["sku", data.sku?.toLowerCase()],
+            ]) {
+              if (!v) continue;
+              if (seen.has(`${field}:${v}`))
+                throw rowError(field, `${field} dobel di file`);
+              seen.add(`${field}:${v}`);
+            }
+            if (data.expiryDate && isNaN(new Date(data.expiryDate)))
+              throw rowError("expiryDate", "Tanggal tidak valid");
+            const existing = id
+              ? await prisma.product.findUnique({ where: { id } })
+              : data.sku
+              ? await prisma.product.findFirst({
+                  where: { sku: { equals: data.sku, mode: "insensitive" } },
+                })
+              : null;
+            if (id && !existing)
+              throw rowError("id", `Produk ${id} tidak ditemukan`);
+            // sama seperti PUT /products/:id: ubah harga butuh prices:edit
+            const priceField = PRICE_FIELDS.find(
+              (f) => existing && f in input(r) && data[f] !== existing[f]
+            );
+            if (priceField && !canPrice)
+              throw rowError(priceField, "Ubah harga butuh izin prices:edit");
+            // file hasil export boleh diimport ulang selama stok tidak diubah
+            if (
+              existing &&
+              data.stockQty !== existing.stockQty &&
+              data.stockQty > 0
+            )
+              throw rowError(
+                "stockQty",
+                "Produk sudah ada; tambah stok pakai /imports/stock"
+              );
+            const loc =
+              !existing && data.stockQty > 0
+                ? locationId
+                  ? await resolveLocation(prisma, locationId)
+                  : await locationByCode(location)
+                : null;
+            // update: hanya kolom yang diisi di file (tanpa default zod)
+            const present = Object.keys(input(r)).filter((k) => k in data);
+            return { ...data, existingId: existing?.id ?? null, loc, present };
+          }
+        );
+      },
+      save: async (tx, valid, userId, req) => {
+        let created = 0;
+        let updated = 0;
+        for (const { data } of valid) {
+          const { existingId, loc, present, stockQty, ...fields } = data;
+          const payload = {
+            ...fields,
+            expiryDate: fields.expiryDate ? new Date(fields.expiryDate) : null,
+          };
+          if (existingId) {
+            const before = await tx.product.findUnique({
+              where: { id: existingId },
+            });
+            const after = await tx.product.update({
+              where: { id: existingId },
+              data: Object.fromEntries(
+                present.filter((k) => k in payload).map((k) => [k, payload[k]])
+              ),
+            });
+            await audit(tx, req, {
+              action: "UPDATE",
+              entity: "Product",
+              entityId: existingId,
+              before,
+              after,
+              note: "import",
+            });
+            updated++;
+            continue;
+          }
+          const p = await tx.product.create({ data: payload });
+          await audit(tx, req, {
+            action: "CREATE",
+            entity: "Product",
+            entityId: p.id,
+            after: p,
+            note: "import",
+          });
+          if (stockQty > 0)
+            await openingStock(tx, p, {
+              locationId: loc.id,
+              qty: stockQty,
+              userId,
+            });
+          created++;
+        }
+        return { created, updated };
+      },
+    })
+);
 
-    const data = list.map((m) => ({
-      id: m.id,
-      date: m.date,
-      productId: m.productId,
-      productName: m.product.name,
-      qty: m.qty,
-      unitCost: m.unitCost ?? 0,
-      value: (m.unitCost ?? 0) * m.qty,
-      note: m.note || "",
-    }));
+// Pelanggan: kolom = field POST /customers (+ priceList = kode daftar harga)
+app.post(
+  "/api/v1/imports/customers",
+  auth,
+  can("data:import", "customers:edit"),
+  tableUpload,
+  (req, res) =>
+    runImport(req, res, "customers", {
+      validate: async (rows) => {
+        const lists = await prisma.priceList.findMany({
+          select: { id: true, code: true },
+        });
+        const canPrice = await userCan(req, "prices:edit");
+        return validateRows(
+          rows,
+          customerSchema.extend({ priceList: z.string().optional() }),
+          (r) => rowInput(r, { numbers: ["creditLimit"] }),
+          async ({ priceList, ...data }) => {
+            const term = priceList
+              ? "priceList"
+              : CUSTOMER_TERMS.find((f) => data[f] != null);
+            if (term && !canPrice)
+              throw rowError(
+                term,
+                "Daftar harga / limit kredit butuh izin prices:edit"
+              );
+            if (!priceList) return data;
+            const pl = lists.find(
+              (l) => l.code.toLowerCase() === priceList.toLowerCase()
+            );
+            if (!pl)
+              throw rowError(
+                "priceList",
+                `Daftar harga ${priceList} tidak ditemukan`
+              );
+            return { ...data, priceListId: pl.id };
+          }
+        );
+      },
+      save: async (tx, valid, _userId, req) => {
+        const rows = await tx.customer.createManyAndReturn({
+          data: valid.map((v) => v.data),
+        });
+        await tx.auditLog.createMany({
+          data: rows.map((c) =>
+            auditData(req, {
+              action: "CREATE",
+              entity: "Customer",
+              entityId: c.id,
+              after: c,
+              note: "import",
+            })
+          ),
+        });
+        return { created: valid.length };
+      },
+    })
+);
 
-    res.json({ totalQty, totalValue, list: data });
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
+// Stok awal produk yang sudah ada: sku (atau barcode), qty, unit?,
+// unitCost? (per unit di kolom unit), lotNo?, expiryDate?, location? (kode)
+const stockImportSchema = z.object({
+  sku: z.string().min(1),
+  qty: z.number().int().positive(),
+  unit: z.string().optional(),
+  unitCost: z.number().int().nonnegative().optional(),
+  lotNo: z.string().optional(),
+  expiryDate: z.string().optional(),
+  location: z.string().optional(),
 });
 
-// TOTAL PENJUALAN (all-time / range)
+app.post(
+  "/api/v1/imports/stock",
+  auth,
+  can("data:import", "stock:in"),
+  tableUpload,
+  (req, res) =>
+    runImport(req, res, "stock", {
+      validate: (rows) =>
+        validateRows(
+          rows,
+          stockImportSchema,
+          (r) =>
+            rowInput(r, {
+              numbers: ["qty", "unitCost"],
+              dates: ["expiryDate"],
+            }),
+          async (d) => {
+            const product =
+              (await prisma.product.findFirst({
+                where: {
+                  sku: { equals: d.sku, mode: "insensitive" },
+                  isActive: true,
+                },
+                include: { units: true },
+              })) ??
+              (
+                await prisma.productBarcode.findUnique({
+                  where: { code: d.sku },
+                  include: { product: { include: { units: true } } },
+                })
+              )?.product;
+            if (!product || !product.isActive)
+              throw rowError("sku", `Produk ${d.sku} tidak ditemukan`);
+            let factor;
+            try {
+              ({ factor } = findUnit(product, d.unit));
+            } catch (e) {
+              throw rowError("unit", e.message);
+            }
+            const expiryDate = d.expiryDate ? new Date(d.expiryDate) : null;
+            if (expiryDate && isNaN(expiryDate))
+              throw rowError("expiryDate", "Tanggal tidak valid");
+            const loc = await locationByCode(d.location);
+            return {
+              product,
+              locationId: loc.id,
+              qty: d.qty * factor,
+              unitCost:
+                d.unitCost != null
+                  ? Math.round(d.unitCost / factor)
+                  : undefined,
+              lotNo: d.lotNo,
+              expiryDate,
+              note: factor > 1 ? `${d.qty} ${d.unit}` : null,
+            };
+          }
+        ),
+      save: async (tx, valid, userId, req) => {
+        for (const { data } of valid) {
+          const { product, ...line } = data;
+          await openingStock(tx, product, { ...line, userId });
+          await audit(tx, req, {
+            action: "STOCK_IN",
+            entity: "Product",
+            entityId: product.id,
+            after: {
+              locationId: line.locationId,
+              qty: line.qty,
+              unitCost: line.unitCost ?? null,
+              lotNo: line.lotNo ?? null,
+            },
+            note: "import",
+          });
+        }
+        return { created: valid.length };
+      },
+    })
+);
+
+// Export: ?format=csv|xlsx (default csv). Data transaksi difilter
+// ?from=&to= (default 30 hari terakhir); products & customers semuanya.
+const d10 = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+const EXPORTS = {
+  products: {
+    columns: [
+      "sku",
+      "name",
+      "category",
+      "unit",
+      "costPrice",
+      "sellPrice",
+      "stockQty",
+      "minStock",
+      "expiryDate",
+      "isActive",
+      "barcodes",
+      "id",
+    ],
+    load: async () =>
+      (
+        await prisma.product.findMany({
+          where: { isActive: true },
+          include: { barcodes: true },
+          orderBy: { name: "asc" },
+        })
+      ).map((p) => ({
+        ...p,
+        expiryDate: d10(p.expiryDate),
+        barcodes: p.barcodes.map((b) => b.code).join(" "),
+      })),
+  },
+  customers: {
+    columns: [
+      "name",
+      "phone",
+      "address",
+      "notes",
+      "creditLimit",
+      "priceList",
+      "createdAt",
+      "id",
+    ],
+    load: async () =>
+      (
+        await prisma.customer.findMany({
+          include: { priceList: true },
+          orderBy: { name: "asc" },
+        })
+      ).map((c) => ({ ...c, priceList: c.priceList?.code ?? "" })),
+  },
+  sales: {
+    columns: [
+      "invoiceNo",
+      "date",
+      "customer",
+      "location",
+      "grossTotal",
+      "lineDiscount",
+      "discountAmount",
+      "subtotal",
+      "taxAmount",
+      "grandTotal",
+      "amountPaid",
+      "returnedTotal",
+      "paymentStatus",
+      "voidedAt",
+      "note",
+    ],
+    load: async ({ from, to }) =>
+      (
+        await prisma.sale.findMany({
+          where: { date: { gte: from, lte: to } },
+          include: { customer: true, location: true },
+          orderBy: { date: "asc" },
+        })
+      ).map((s) => ({
+        ...s,
+        customer: s.customer?.name ?? "",
+        location: s.location.code,
+      })),
+  },
+  "sale-items": {
+    columns: [
+      "invoiceNo",
+      "date",
+      "sku",
+      "product",
+      "unitQty",
+      "unit",
+      "qty",
+      "baseUnit",
+      "listPrice",
+      "unitPrice",
+      "discountAmount",
+      "lineTotal",
+      "invoiceDiscount",
+      "taxAmount",
+      "returnedQty",
+      "costTotal",
+    ],
+    load: async ({ from, to }) =>
+      (
+        await prisma.saleItem.findMany({
+          where: { sale: { date: { gte: from, lte: to } } },
+          include: { sale: true, product: true },
+          orderBy: [{ sale: { date: "asc" } }, { id: "asc" }],
+        })
+      ).map((it) => ({
+        ...it,
+        invoiceNo: it.sale.invoiceNo,
+        date: it.sale.date,
+        sku: it.product.sku ?? "",
+        product: it.product.name,
+        unit: it.unit ?? it.product.unit,
+        baseUnit: it.product.unit,
+      })),
+  },
+  payments: {
+    columns: [
+      "date",
+      "invoiceNo",
+      "receiptNo",
+      "method",
+      "amount",
+      "refNo",
+      "returnId",
+      "shiftId",
+    ],
+    load: async ({ from, to }) =>
+      (
+        await prisma.payment.findMany({
+          where: { date: { gte: from, lte: to } },
+          include: { sale: { select: { invoiceNo: true } } },
+          orderBy: { date: "asc" },
+        })
+      ).map((p) => ({ ...p, invoiceNo: p.sale.invoiceNo })),
+  },
+  "stock-movements": {
+    columns: [
+      "date",
+      "sku",
+      "product",
+      "location",
+      "type",
+      "qty",
+      "unit",
+      "reason",
+      "unitCost",
+      "refId",
+      "note",
+      "userId",
+    ],
+    load: async ({ from, to }) =>
+      (
+        await prisma.stockMovement.findMany({
+          where: { date: { gte: from, lte: to } },
+          include: { product: true, location: true },
+          orderBy: { date: "asc" },
+        })
+      ).map((m) => ({
+        ...m,
+        sku: m.product.sku ?? "",
+        product: m.product.name,
+        unit: m.product.unit,
+        location: m.location.code,
+      })),
+  },
+};
+
 app.get(
-  "/api/v1/reports/total-sales",
+  "/api/v1/exports/:entity",
   auth,
-  viewerReadOnly,
+  can("data:export"),
   async (req, res) => {
     try {
-      const fromStr = (req.query.from || "").toString().trim();
-      const toStr = (req.query.to || "").toString().trim();
-      const useRange = !!(fromStr && toStr);
-
-      let where = {};
-      if (useRange) {
-        const from = new Date(`${fromStr}T00:00:00.000Z`);
-        const to = new Date(`${toStr}T23:59:59.999Z`);
-        where = { date: { gte: from, lte: to } };
-      }
+      const entity = req.params.entity;
+      const spec = EXPORTS[entity];
+      if (!spec)
+        return res.status(404).json({
+          error: `Export tidak dikenal. Pilih: ${Object.keys(EXPORTS).join(
+            ", "
+          )}`,
+        });
+      const format = (req.query.format || "csv").toString();
+      if (!["csv", "xlsx"].includes(format))
+        return res.status(400).json({ error: "format harus csv atau xlsx" });
 
-      const agg = await prisma.sale.aggregate({
-        where,
-        _sum: { grandTotal: true },
-        _min: { date: true },
-        _max: { date: true },
-      });
+      const range = parseDateRange(req.query);
+      const to = range.to ?? new Date();
+      const from =
+        range.from ?? new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const rows = await spec.load({ from, to });
+      const columns = spec.columns.map((key) => ({ key, header: key }));
 
-      res.json({
-        mode: useRange ? "range" : "all-time",
-        range: useRange ? { from: fromStr, to: toStr } : null,
-        total: agg._sum.grandTotal || 0,
-        firstSaleAt: agg._min.date || null,
-        lastSaleAt: agg._max.date || null,
-      });
+      const name = `${entity}-${d10(new Date())}.${format}`;
+      res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+      if (format === "xlsx") {
+        res.type(XLSX_TYPE).send(await toXlsx(columns, rows, entity));
+      } else {
+        res.type("text/csv; charset=utf-8").send(toCsv(columns, rows));
+      }
     } catch (e) {
-      console.error(e);
       res.status(400).json({ error: e.message });
     }
   }
 );
 
-// PROFIT (pendapatan - HPP aproksimasi Product.costPrice)
-app.get("/api/v1/reports/profit", auth, viewerReadOnly, async (req, res) => {
+/* ================= ALERTS (viewer boleh) ================= */
+// Stok menipis, akan kadaluarsa (?days=N, default ALERT_EXPIRY_DAYS), expired
+app.get("/api/v1/alerts", auth, can("alerts:read"), async (req, res) => {
   try {
-    const fromStr = (req.query.from || "").toString().trim();
-    const toStr = (req.query.to || "").toString().trim();
-
-    const useRange = !!(fromStr && toStr);
-
-    let whereSaleItem = {};
-    if (useRange) {
-      const from = new Date(`${fromStr}T00:00:00.000Z`);
-      const to = new Date(`${toStr}T23:59:59.999Z`);
-      whereSaleItem = { sale: { date: { gte: from, lte: to } } };
-    }
+    const days = req.query.days ? Number(req.query.days) : ALERT_EXPIRY_DAYS;
+    if (!Number.isInteger(days) || days < 0)
+      return res.status(400).json({ error: "days harus bilangan bulat >= 0" });
+    res.json(await buildAlerts(pgSql, { days }));
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message });
+  }
+});
 
-    const items = await prisma.saleItem.findMany({
-      where: whereSaleItem,
-      select: { qty: true, lineTotal: true, productId: true },
+app.get(
+  "/api/v1/alerts/digests",
+  auth,
+  can("alerts:read"),
+  async (_req, res) => {
+    const list = await prisma.alertDigest.findMany({
+      orderBy: { date: "desc" },
+      take: 30,
+      select: { id: true, date: true, createdAt: true, summary: true },
     });
-
-    const revenue = items.reduce((a, it) => a + (it.lineTotal || 0), 0);
-
-    const pids = Array.from(new Set(items.map((i) => i.productId)));
-    const products = pids.length
-      ? await prisma.product.findMany({
-          where: { id: { in: pids } },
-          select: { id: true, costPrice: true },
-        })
-      : [];
-    const costMap = new Map(products.map((p) => [p.id, p.costPrice || 0]));
-
-    const cogs = items.reduce(
-      (a, it) => a + (costMap.get(it.productId) || 0) * it.qty,
-      0
+    res.json(
+      list.map((d) => ({
+        id: d.id,
+        date: d.date,
+        createdAt: d.createdAt,
+        counts: d.summary?.counts ?? null,
+      }))
     );
-    const profit = revenue - cogs;
+  }
+);
 
-    const agg = await prisma.sale.aggregate({
-      _min: { date: true },
-      _max: { date: true },
+app.get(
+  "/api/v1/alerts/digests/latest",
+  auth,
+  can("alerts:read"),
+  async (_req, res) => {
+    const digest = await prisma.alertDigest.findFirst({
+      orderBy: { date: "desc" },
     });
+    if (!digest) return res.status(404).json({ error: "Belum ada digest" });
+    res.json(digest);
+  }
+);
 
-    res.json({
-      mode: useRange ? "range" : "all-time",
-      range: useRange ? { from: fromStr, to: toStr } : null,
-      dataset: {
-        firstSaleAt: agg._min.date || null,
-        lastSaleAt: agg._max.date || null,
-        saleItems: items.length,
-        productsInvolved: pids.length,
-      },
-      revenue,
-      cogs,
-      profit,
+app.get(
+  "/api/v1/alerts/digests/:date",
+  auth,
+  can("alerts:read"),
+  async (req, res) => {
+    const digest = await prisma.alertDigest.findUnique({
+      where: { date: req.params.date },
     });
-  } catch (e) {
-    console.error(e);
-    res.status(400).json({ error: e.message });
+    if (!digest) return res.status(404).json({ error: "Digest not found" });
+    res.json(digest);
   }
-});
+);
+
+// Jalankan digest manual (mis. setelah stok opname): admin only
+app.post(
+  "/api/v1/alerts/digests/run",
+  auth,
+  can("alerts:run"),
+  async (req, res) => {
+    try {
+      const digest = await runDailyDigest(pgSql, { days: ALERT_EXPIRY_DAYS });
+      await audit(prisma, req, {
+        action: "RUN",
+        entity: "AlertDigest",
+        entityId: digest.id,
+        after: { date: digest.date, counts: digest.counts },
+      });
+      res.json(digest);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
 
 /* ================= USERS (admin only) ================= */
-app.get("/api/v1/users", auth, allowRoles("ADMIN"), async (_req, res) => {
+const USER_SELECT = {
+  id: true,
+  username: true,
+  name: true,
+  role: true,
+  createdAt: true,
+};
+
+app.get("/api/v1/users", auth, can("users:manage"), async (_req, res) => {
   const users = await prisma.user.findMany({
-    select: {
-      id: true,
-      username: true,
-      name: true,
-      role: true,
-      createdAt: true,
-    },
+    select: USER_SELECT,
     orderBy: { createdAt: "desc" },
   });
   res.json(users);
 });
 
-app.post("/api/v1/users", auth, allowRoles("ADMIN"), async (req, res) => {
+app.post("/api/v1/users", auth, can("users:manage"), async (req, res) => {
   try {
     const { username, name, password, role } = req.body || {};
     if (!username || !password || !name)
       return res.status(400).json({ error: "Incomplete data" });
-    if (!["ADMIN", "VIEWER"].includes(role || "VIEWER"))
+    if (!(await roles.isRole(role || "VIEWER", loadRoles)))
       return res.status(400).json({ error: "Invalid role" });
+    const beyond = await roleBeyondCaller(req, role || "VIEWER");
+    if (beyond.length) return roleForbidden(res, beyond);
 
     const exists = await prisma.user.findUnique({ where: { username } });
     if (exists) return res.status(409).json({ error: "Username exists" });
 
     const hash = await bcrypt.hash(String(password), 10);
-    const user = await prisma.user.create({
-      data: { username, name, password: hash, role: role || "VIEWER" },
-      select: {
-        id: true,
-        username: true,
-        name: true,
-        role: true,
-        createdAt: true,
-      },
+    const user = await prisma.$transaction(async (tx) => {
+      const u = await tx.user.create({
+        data: { username, name, password: hash, role: role || "VIEWER" },
+        select: USER_SELECT,
+      });
+      await audit(tx, req, {
+        action: "CREATE",
+        entity: "User",
+        entityId: u.id,
+        after: u,
+      });
+      return u;
     });
     res.json(user);
   } catch (e) {
@@ -757,49 +6755,317 @@ app.post("/api/v1/users", auth, allowRoles("ADMIN"), async (req, res) => {
   }
 });
 
-app.patch("/api/v1/users/:id", auth, allowRoles("ADMIN"), async (req, res) => {
+app.patch("/api/v1/users/:id", auth, can("users:manage"), async (req, res) => {
   try {
     const { name, role, password } = req.body || {};
     const data = {};
     if (name) data.name = name;
     if (role) {
-      if (!["ADMIN", "VIEWER"].includes(role))
+      if (!(await roles.isRole(role, loadRoles)))
         return res.status(400).json({ error: "Invalid role" });
       data.role = role;
     }
     if (password) data.password = await bcrypt.hash(String(password), 10);
 
-    const updated = await prisma.user.update({
+    const before = await prisma.user.findUnique({
       where: { id: req.params.id },
-      data,
-      select: {
-        id: true,
-        username: true,
-        name: true,
-        role: true,
-        createdAt: true,
-      },
+      select: USER_SELECT,
+    });
+    if (!before) return res.status(404).json({ error: "User not found" });
+    const self = req.params.id === req.user.sub;
+    const newRole = role && role !== before.role ? role : null;
+    if (self && newRole)
+      return res
+        .status(403)
+        .json({ error: "Tidak bisa mengubah role sendiri" });
+    // user lain (role lama & baru) tidak boleh melebihi hak akses pemanggil
+    for (const r of [self ? null : before.role, newRole].filter(Boolean)) {
+      const beyond = await roleBeyondCaller(req, r);
+      if (beyond.length) return roleForbidden(res, beyond);
+    }
+    const updated = await prisma.$transaction(async (tx) => {
+      const u = await tx.user.update({
+        where: { id: req.params.id },
+        data,
+        select: USER_SELECT,
+      });
+      await audit(tx, req, {
+        action: "UPDATE",
+        entity: "User",
+        entityId: u.id,
+        before,
+        after: u,
+        note: password ? "password diubah" : null,
+      });
+      return u;
     });
+    // role/password berubah -> semua sesi lama tidak berlaku
+    if (password || (role && role !== before.role))
+      await revokeUserSessions(pgSql, updated.id);
     res.json(updated);
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
-app.delete("/api/v1/users/:id", auth, allowRoles("ADMIN"), async (req, res) => {
+app.delete("/api/v1/users/:id", auth, can("users:manage"), async (req, res) => {
   try {
-    await prisma.user.delete({ where: { id: req.params.id } });
+    const target = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { role: true },
+    });
+    if (target) {
+      const beyond = await roleBeyondCaller(req, target.role);
+      if (beyond.length) return roleForbidden(res, beyond);
+    }
+    await prisma.$transaction(async (tx) => {
+      const before = await tx.user.findUnique({
+        where: { id: req.params.id },
+        select: USER_SELECT,
+      });
+      if (!before) throw new Error("User not found");
+      // dicatat sebelum hapus: AuditLog.userId pelaku bisa saja user ini
+      await audit(tx, req, {
+        action: "DELETE",
+        entity: "User",
+        entityId: before.id,
+        before,
+      });
+      await tx.user.delete({ where: { id: before.id } });
+    });
   } catch (e) {
     return res.status(400).json({ error: e.message });
   }
   res.json({ ok: true });
 });
 
+// Sesi aktif user & cabut semua sesi (logout paksa di semua perangkat)
+app.get(
+  "/api/v1/users/:id/sessions",
+  auth,
+  can("users:manage"),
+  async (req, res) => {
+    res.json(await listUserSessions(pgSql, req.params.id));
+  }
+);
+
+app.delete(
+  "/api/v1/users/:id/sessions",
+  auth,
+  can("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.params.id },
+        select: { id: true },
+      });
+      if (!user) return res.status(404).json({ error: "User not found" });
+      const revoked = await revokeUserSessions(pgSql, user.id);
+      await audit(prisma, req, {
+        action: "REVOKE_SESSIONS",
+        entity: "User",
+        entityId: user.id,
+        note: `${revoked} sesi`,
+      });
+      res.json({ ok: true, revoked });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+// Status & buka kunci login user (opsional ?ip= / body.ip ikut dibuka)
+app.get(
+  "/api/v1/users/:id/lock",
+  auth,
+  can("users:manage"),
+  async (req, res) => {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(await lockStatus(loginStore, user.username));
+  }
+);
+
+app.post(
+  "/api/v1/users/:id/unlock",
+  auth,
+  can("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!user) return res.status(404).json({ error: "User not found" });
+      const ip = req.body?.ip ? String(req.body.ip) : null;
+      await unlockLogin(loginStore, { username: user.username, ip });
+      await audit(prisma, req, {
+        action: "UNLOCK",
+        entity: "User",
+        entityId: user.id,
+        note: ip ? `ip ${ip}` : null,
+      });
+      res.json({ ok: true, ...(await lockStatus(loginStore, user.username)) });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= ROLE & IZIN ================= */
+// Katalog izin + role bawaan/tambahan beserta izin efektifnya
+app.get("/api/v1/roles", auth, can("users:manage"), async (_req, res) => {
+  const custom = await loadAppRoles(pgSql);
+  const counts = await prisma.user.groupBy({ by: ["role"], _count: true });
+  const names = Array.from(
+    new Set([...Object.keys(BUILTIN_ROLES), ...Object.keys(custom)])
+  );
+  res.json({
+    permissions: PERMISSIONS,
+    roles: names.map((name) => ({
+      name,
+      builtIn: name in BUILTIN_ROLES,
+      customized: name in custom && name in BUILTIN_ROLES,
+      permissions:
+        name === "ADMIN" ? ["*"] : custom[name] ?? BUILTIN_ROLES[name],
+      users: counts.find((c) => c.role === name)?._count ?? 0,
+    })),
+  });
+});
+
+// Buat role baru / ganti izin role (bawaan: override, kecuali ADMIN)
+app.put("/api/v1/roles/:name", auth, can("users:manage"), async (req, res) => {
+  const schema = z.object({
+    description: z.string().optional().nullable(),
+    permissions: z.array(z.string()).refine((l) => l.every(isPermission), {
+      message: "Izin tidak dikenal",
+    }),
+  });
+  try {
+    const name = req.params.name.trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]{1,31}$/.test(name))
+      return res.status(400).json({ error: "Nama role: A-Z, 0-9, _" });
+    if (name === "ADMIN")
+      return res.status(400).json({ error: "Role ADMIN tidak bisa diubah" });
+    if (name === req.user.role)
+      return res
+        .status(403)
+        .json({ error: "Tidak bisa mengubah role sendiri" });
+    const { description, permissions } = schema.parse(req.body);
+    const denied = ungrantable(
+      req.user.role,
+      await permissionsFor(req.user.role),
+      permissions
+    );
+    if (denied.length)
+      return res.status(403).json({ error: "Forbidden", missing: denied });
+    const data = {
+      description: description ?? null,
+      permissions: Array.from(new Set(permissions)),
+    };
+    const role = await prisma.$transaction(async (tx) => {
+      const before = await tx.appRole.findUnique({ where: { name } });
+      const row = await tx.appRole.upsert({
+        where: { name },
+        update: data,
+        create: { name, ...data },
+      });
+      await audit(tx, req, {
+        action: before ? "UPDATE" : "CREATE",
+        entity: "AppRole",
+        entityId: name,
+        before,
+        after: row,
+      });
+      return row;
+    });
+    roles.invalidate();
+    res.json(role);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Hapus role tambahan (atau kembalikan role bawaan ke izin default)
+app.delete(
+  "/api/v1/roles/:name",
+  auth,
+  can("users:manage"),
+  async (req, res) => {
+    try {
+      const name = req.params.name;
+      const role = await prisma.appRole.findUnique({ where: { name } });
+      if (!role) return res.status(404).json({ error: "Role not found" });
+      if (!(name in BUILTIN_ROLES)) {
+        const used = await prisma.user.count({ where: { role: name } });
+        if (used)
+          return res
+            .status(400)
+            .json({ error: `Role masih dipakai ${used} user` });
+      }
+      await prisma.$transaction([
+        prisma.appRole.delete({ where: { name } }),
+        audit(prisma, req, {
+          action: "DELETE",
+          entity: "AppRole",
+          entityId: name,
+          before: role,
+        }),
+      ]);
+      roles.invalidate();
+      res.json({ ok: true, reset: name in BUILTIN_ROLES });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+);
+
+/* ================= AUDIT PERUBAHAN DATA ================= */
+// ?entity=Product &entityId= &userId= &action=UPDATE &from=&to= + paging
+// standar (sort: at). Isi before/after lihat src/audit.js
+app.get("/api/v1/audits/changes", auth, can("audit:read"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ["at"],
+      defaultSort: "-at",
+    });
+    const { from, to } = parseDateRange(req.query);
+    const where = {
+      ...(list.q
+        ? {
+            OR: [
+              { entityId: list.q },
+              { username: contains(list.q) },
+              { note: contains(list.q) },
+            ],
+          }
+        : {}),
+      ...(from || to
+        ? {
+            at: {
+              ...(from ? { gte: from } : {}),
+              ...(to ? { lte: to } : {}),
+            },
+          }
+        : {}),
+    };
+    for (const key of ["entity", "entityId", "userId", "action"])
+      if (req.query[key]) where[key] = req.query[key].toString();
+
+    const [total, rows] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({ where, ...pageArgs(list) }),
+    ]);
+    sendPage(res, rows, total, list);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
 /* ================= LOGIN AUDIT (admin only) ================= */
 app.get(
   "/api/v1/audits/login",
   auth,
-  allowRoles("ADMIN"),
+  can("users:manage"),
   async (_req, res) => {
     const list = await prisma.loginAudit.findMany({
       orderBy: { at: "desc" },
@@ -810,6 +7076,8 @@ app.get(
         role: true,
         ip: true,
         userAgent: true,
+        success: true,
+        reason: true,
         at: true,
       },
     });
@@ -817,6 +7085,26 @@ app.get(
   }
 );
 
+/* ============== CRON: digest alert harian ============== */
+// Default 07:00 WIB; matikan dengan ALERT_DIGEST_CRON=off
+const digestCron = process.env.ALERT_DIGEST_CRON || "0 7 * * *";
+if (digestCron !== "off") {
+  cron.schedule(
+    digestCron,
+    async () => {
+      try {
+        const d = await runDailyDigest(pgSql, { days: ALERT_EXPIRY_DAYS });
+        console.log("[DIGEST]", d.date, d.counts);
+      } catch (e) {
+        console.error("[DIGEST] gagal:", e.message);
+      }
+      // bersihkan catatan login gagal yang sudah kedaluwarsa
+      await loginStore.purge().catch(() => null);
+    },
+    { timezone: process.env.ALERT_DIGEST_TZ || "Asia/Jakarta" }
+  );
+}
+
 /* ============== START SERVER ============== */
 const port = process.env.PORT || 8080;
 app.listen(port, () => console.log("API running on :" + port));
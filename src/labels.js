@@ -0,0 +1,166 @@
+// src/labels.js
+// Barcode produk: validasi/generate EAN-13 dan lembar label (SVG / PDF)
+// untuk kertas label A4 (default 3 x 8, 64 x 34 mm).
+import bwipjs from "bwip-js";
+import PDFDocument from "pdfkit";
+
+const rp = (n) => new Intl.NumberFormat("id-ID").format(n || 0);
+const MM = 72 / 25.4; // mm -> pt
+
+/* ================= EAN-13 ================= */
+// Prefix 200-299 dicadangkan GS1 untuk pemakaian internal toko
+export const INSTORE_PREFIX = "200";
+
+export function ean13CheckDigit(d12) {
+  const sum = d12
+    .split("")
+    .reduce((a, d, i) => a + Number(d) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export const isValidEan13 = (code) =>
+  /^\d{13}$/.test(code) && ean13CheckDigit(code.slice(0, 12)) === code[12];
+
+// Kode lain (SKU, kode supplier, ...) dicetak sebagai Code128
+export const barcodeKind = (code) => (isValidEan13(code) ? "EAN13" : "CODE128");
+
+// Nomor urut -> EAN-13 internal: 200 + 9 digit urut + check digit
+export function instoreEan13(seq) {
+  const d12 = INSTORE_PREFIX + String(seq).padStart(9, "0");
+  if (d12.length !== 12) throw new Error("Nomor barcode internal habis.");
+  return d12 + ean13CheckDigit(d12);
+}
+
+/* ================= LEMBAR LABEL ================= */
+export const LABEL_LAYOUT = {
+  pageWidth: 210,
+  pageHeight: 297,
+  cols: 3,
+  rows: 8,
+  width: 64,
+  height: 34,
+  marginX: 9,
+  marginY: 12.5,
+};
+
+const bwipOpts = (l) => ({
+  bcid: l.kind === "EAN13" ? "ean13" : "code128",
+  text: l.code,
+  includetext: true,
+  textxalign: "center",
+  scale: 3,
+  height: 9,
+});
+
+const xml = (s) =>
+  String(s ?? "").replace(
+    /[<>&"]/g,
+    (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c])
+  );
+
+// Posisi label ke-i (mm) setelah melewati `skip` slot yang sudah terpakai
+function slots(count, layout, skip) {
+  const perPage = layout.cols * layout.rows;
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const n = i + skip;
+    const page = Math.floor(n / perPage);
+    const col = (n % perPage) % layout.cols;
+    const row = Math.floor((n % perPage) / layout.cols);
+    out.push({
+      page,
+      x: layout.marginX + col * layout.width,
+      y: layout.marginY + row * layout.height,
+    });
+  }
+  return out;
+}
+
+const title = (l) => (l.unit ? `${l.name} (${l.unit})` : l.name).slice(0, 40);
+
+/**
+ * labels: [{ name, unit?, price, code, kind }] (sudah dikali jumlah copy)
+ * SVG: semua halaman ditumpuk vertikal dalam 1 dokumen (satuan mm).
+ */
+export function svgLabelSheet(
+  labels,
+  { layout = LABEL_LAYOUT, skip = 0 } = {}
+) {
+  const pos = slots(labels.length, layout, skip);
+  const pages = pos.length ? pos[pos.length - 1].page + 1 : 1;
+  const { pageWidth: W, pageHeight: H, width: w, height: h } = layout;
+
+  const parts = labels.map((l, i) => {
+    const { page, x, y } = pos[i];
+    const top = page * H + y;
+    const cx = x + w / 2;
+    const [bx, by, bw, bh] = [x + 4, top + 9, w - 8, h - 12];
+    const box = `x="${bx}" y="${by}" width="${bw}" height="${bh}"`;
+    const code = bwipjs
+      .toSVG(bwipOpts(l))
+      .replace("<svg ", `<svg ${box} preserveAspectRatio="xMidYMid meet" `);
+    const name = xml(title(l));
+    const price = `Rp ${rp(l.price)}`;
+    return [
+      `<g font-family="Helvetica, Arial, sans-serif" text-anchor="middle">`,
+      `<text x="${cx}" y="${top + 4}" font-size="3">${name}</text>`,
+      `<text x="${cx}" y="${top + 8}" font-size="3.5">${price}</text>`,
+      code,
+      `</g>`,
+    ].join("\n");
+  });
+
+  const total = H * pages;
+  const size = `width="${W}mm" height="${total}mm" viewBox="0 0 ${W} ${total}"`;
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" ${size}>`,
+    ...parts,
+    `</svg>`,
+    "",
+  ].join("\n");
+}
+
+// PDF: 1 halaman A4 per lembar label
+export async function pdfLabelSheet(
+  labels,
+  { layout = LABEL_LAYOUT, skip = 0 } = {}
+) {
+  const pos = slots(labels.length, layout, skip);
+  const images = await Promise.all(
+    labels.map((l) => bwipjs.toBuffer(bwipOpts(l)))
+  );
+  const doc = new PDFDocument({
+    size: [layout.pageWidth * MM, layout.pageHeight * MM],
+    margin: 0,
+  });
+  const w = layout.width * MM;
+  const h = layout.height * MM;
+  let page = 0;
+  labels.forEach((l, i) => {
+    while (pos[i].page > page) {
+      doc.addPage();
+      page++;
+    }
+    const x = pos[i].x * MM;
+    const y = pos[i].y * MM;
+    doc
+      .font("Helvetica")
+      .fontSize(7)
+      .text(title(l), x + 6, y + 5, { width: w - 12, align: "center" });
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(9)
+      .text(`Rp ${rp(l.price)}`, x + 6, y + 14, {
+        width: w - 12,
+        align: "center",
+      });
+    doc.image(images[i], x + 10, y + 26, {
+      fit: [w - 20, h - 32],
+      align: "center",
+      valign: "center",
+    });
+  });
+  doc.end();
+  return doc;
+}
@@ -0,0 +1,127 @@
+// src/permissions.js
+// Model izin bersama src/index.js & src/worker.js.
+// Role -> daftar izin bernama ("sales:create", ...). Role bawaan di bawah;
+// role tambahan (atau override izin role bawaan selain ADMIN) disimpan di
+// tabel AppRole dan dibaca lewat `sql` tagged template (pgSql / neon).
+
+export const PERMISSIONS = {
+  "products:read": "Lihat produk, satuan, barcode & harga",
+  "products:edit": "Tambah/ubah/hapus produk, satuan, barcode, cetak label",
+  "prices:edit": "Ubah harga produk & daftar harga",
+  "stock:read": "Lihat stok per lokasi, lot, kartu stok, transfer, opname",
+  "stock:in": "Barang masuk (tambah stok, penerimaan barang)",
+  "stock:transfer": "Transfer stok antar lokasi",
+  "stock:count": "Stok opname",
+  "locations:manage": "Kelola lokasi stok",
+  "customers:read": "Lihat pelanggan & piutang",
+  "customers:edit": "Tambah/ubah/hapus pelanggan",
+  "purchases:read": "Lihat supplier, PO, penerimaan & tagihan",
+  "purchases:manage": "Kelola supplier, PO & tagihan supplier",
+  "sales:read": "Lihat & cetak penjualan",
+  "sales:create": "Buat penjualan (kasir)",
+  "sales:price-override": "Ubah harga jual saat transaksi",
+  "sales:void": "Batalkan penjualan",
+  "sales:return": "Retur penjualan",
+  "payments:create": "Terima pembayaran pelanggan",
+  "shifts:read": "Lihat shift kasir & Z-report",
+  "shifts:operate": "Buka/tutup shift & kas masuk/keluar",
+  "shifts:manage": "Kas masuk/keluar & tutup shift kasir lain",
+  "reports:read": "Laporan penjualan, stok & hutang/piutang",
+  "reports:profit": "Laporan laba, nilai persediaan & analitik",
+  "data:import": "Import CSV/XLSX",
+  "data:export": "Export CSV/XLSX",
+  "alerts:read": "Lihat alert stok & kadaluarsa",
+  "alerts:run": "Jalankan digest alert manual",
+  "settings:manage": "Profil toko & penomoran dokumen",
+  "users:manage": "Kelola user, role, sesi & audit login",
+  "audit:read": "Lihat jejak audit perubahan data",
+};
+
+const READ = [
+  "products:read",
+  "stock:read",
+  "customers:read",
+  "purchases:read",
+  "sales:read",
+  "shifts:read",
+  "reports:read",
+  "reports:profit",
+  "data:export",
+  "alerts:read",
+];
+
+export const BUILTIN_ROLES = {
+  ADMIN: ["*"],
+  VIEWER: READ,
+  CASHIER: [
+    "products:read",
+    "customers:read",
+    "sales:read",
+    "sales:create",
+    "payments:create",
+    "shifts:read",
+    "shifts:operate",
+  ],
+  STOCK_KEEPER: [
+    "products:read",
+    "stock:read",
+    "stock:in",
+    "stock:transfer",
+    "stock:count",
+    "purchases:read",
+    "data:import",
+    "alerts:read",
+  ],
+};
+
+// "*" hanya milik ADMIN bawaan, tidak bisa diberikan ke role lain
+export const isPermission = (p) => p in PERMISSIONS;
+
+/**
+ * Izin yang tidak boleh diberikan oleh role `granter` (selain ADMIN):
+ * users:manage & izin yang tidak dimilikinya sendiri (cegah naik hak akses)
+ */
+export const ungrantable = (granter, granted, perms) =>
+  granter === "ADMIN"
+    ? []
+    : perms.filter((p) => p === "users:manage" || !hasPermission(granted, p));
+
+export const hasPermission = (granted, perm) =>
+  granted.includes("*") || granted.includes(perm);
+
+// Role dari AppRole menimpa role bawaan, kecuali ADMIN (selalu semua izin)
+export function permissionsOf(role, custom = {}) {
+  if (role === "ADMIN") return BUILTIN_ROLES.ADMIN;
+  // "*" dari AppRole (data lama) diabaikan
+  return custom[role]?.filter(isPermission) ?? BUILTIN_ROLES[role] ?? [];
+}
+
+export async function loadAppRoles(sql) {
+  const rows = await sql`SELECT name, permissions FROM "AppRole"`;
+  return Object.fromEntries(rows.map((r) => [r.name, r.permissions]));
+}
+
+/**
+ * Cache AppRole per proses/isolate (default 30 detik) supaya cek izin tidak
+ * query tiap request. load = () => loadAppRoles(sql).
+ */
+export function roleCache(ttlMs = 30000) {
+  let custom = null;
+  let loadedAt = 0;
+  const get = async (load) => {
+    if (!custom || Date.now() - loadedAt > ttlMs) {
+      custom = await load();
+      loadedAt = Date.now();
+    }
+    return custom;
+  };
+  return {
+    permissionsOf: async (role, load) => permissionsOf(role, await get(load)),
+    isRole: async (role, load) =>
+      role in BUILTIN_ROLES || role in (await get(load)),
+    // panggil setelah AppRole diubah
+    invalidate: () => {
+      custom = null;
+    },
+  };
+}
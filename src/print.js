@@ -0,0 +1,381 @@
+// src/print.js
+// Render nota/invoice & kuitansi: PDF (A4/A5) dan teks struk thermal
+// (58mm = 32 kolom, 80mm = 48 kolom, opsional kode ESC/POS).
+import PDFDocument from "pdfkit";
+
+const rp = (n) => new Intl.NumberFormat("id-ID").format(n || 0);
+const discLabel = (type, value) =>
+  type === "PERCENT" ? `Diskon ${value}%` : "Diskon";
+const fmtDate = (d) =>
+  new Intl.DateTimeFormat("id-ID", {
+    timeZone: "Asia/Jakarta",
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(d));
+
+/* ================= THERMAL (teks) ================= */
+export const THERMAL_COLS = { 58: 32, 80: 48 };
+
+// ESC/POS: init, rata tengah/kiri, tebal, potong kertas
+const ESC = {
+  init: "\x1b@",
+  center: "\x1ba\x01",
+  left: "\x1ba\x00",
+  boldOn: "\x1bE\x01",
+  boldOff: "\x1bE\x00",
+  cut: "\x1dV\x42\x00",
+};
+
+function thermal(cols, escpos) {
+  const out = [];
+  const fit = (s) => String(s ?? "").slice(0, cols);
+  const wrap = (s) => {
+    const words = String(s ?? "").split(/\s+/);
+    const lines = [];
+    let cur = "";
+    for (const w of words) {
+      if ((cur + " " + w).trim().length > cols) {
+        if (cur) lines.push(cur);
+        cur = w.slice(0, cols);
+      } else cur = (cur + " " + w).trim();
+    }
+    if (cur) lines.push(cur);
+    return lines;
+  };
+  const api = {
+    center: (s, bold = false) => {
+      for (const l of wrap(s)) {
+        const pad = Math.max(0, Math.floor((cols - l.length) / 2));
+        if (escpos)
+          out.push(
+            ESC.center +
+              (bold ? ESC.boldOn : "") +
+              l +
+              (bold ? ESC.boldOff : "") +
+              ESC.left
+          );
+        else out.push(" ".repeat(pad) + l);
+      }
+    },
+    line: (s = "") => wrap(s).forEach((l) => out.push(l)),
+    pair: (left, right) => {
+      const r = String(right);
+      const l = fit(left).slice(0, Math.max(0, cols - r.length - 1));
+      out.push(l + " ".repeat(Math.max(1, cols - l.length - r.length)) + r);
+    },
+    rule: (ch = "-") => out.push(ch.repeat(cols)),
+    blank: () => out.push(""),
+    toString: () =>
+      escpos
+        ? ESC.init + out.join("\n") + "\n\n\n" + ESC.cut
+        : out.join("\n") + "\n",
+  };
+  return api;
+}
+
+function thermalHeader(t, shop) {
+  t.center(shop.name, true);
+  if (shop.address) t.center(shop.address);
+  if (shop.phone) t.center(`Telp: ${shop.phone}`);
+  if (shop.taxId) t.center(`NPWP: ${shop.taxId}`);
+  t.rule("=");
+}
+
+function thermalFooter(t, shop) {
+  t.rule("=");
+  t.center(shop.footer || "Terima kasih");
+}
+
+// Subtotal, diskon invoice & PPN (hanya jika ada)
+function summaryLines(sale) {
+  const out = [];
+  if (sale.lineDiscount || sale.discountAmount || sale.taxAmount)
+    out.push(["Subtotal", rp(sale.subtotal)]);
+  if (sale.discountAmount)
+    out.push([
+      discLabel(sale.discountType, sale.discountValue),
+      `-${rp(sale.discountAmount)}`,
+    ]);
+  if (sale.taxAmount) out.push([`PPN ${sale.taxRate}%`, rp(sale.taxAmount)]);
+  return out;
+}
+
+export function thermalInvoice(
+  shop,
+  sale,
+  { width = 58, escpos = false } = {}
+) {
+  const t = thermal(THERMAL_COLS[width] || 32, escpos);
+  thermalHeader(t, shop);
+  t.pair("No", sale.invoiceNo);
+  t.pair("Tgl", fmtDate(sale.date));
+  if (sale.customer) t.pair("Pelanggan", sale.customer.name);
+  if (sale.voidedAt) t.center("*** DIBATALKAN ***", true);
+  t.rule();
+  for (const it of sale.items) {
+    t.line(it.productName);
+    t.pair(
+      `  ${it.qty} ${it.unit} x ${rp(it.unitPrice)}`,
+      rp(it.unitPrice * it.qty)
+    );
+    if (it.discountAmount)
+      t.pair(
+        `  ${discLabel(it.discountType, it.discountValue).toLowerCase()}`,
+        `-${rp(it.discountAmount)}`
+      );
+    if (it.returnedQty) t.line(`  retur ${it.returnedQty} ${it.baseUnit}`);
+  }
+  t.rule();
+  for (const [k, v] of summaryLines(sale)) t.pair(k, v);
+  t.pair("Total", rp(sale.grandTotal));
+  if (sale.returnedTotal) {
+    t.pair("Retur", `-${rp(sale.returnedTotal)}`);
+    t.pair("Total bersih", rp(sale.netTotal));
+  }
+  for (const p of sale.payments) {
+    t.pair(
+      p.amount < 0 ? `Refund ${p.method}` : `Bayar ${p.method}`,
+      rp(p.amount)
+    );
+  }
+  t.pair("Dibayar", rp(sale.amountPaid));
+  t.pair("Sisa", rp(Math.max(0, sale.netTotal - sale.amountPaid)));
+  t.pair("Status", sale.paymentStatus);
+  if (sale.note) {
+    t.rule();
+    t.line(sale.note);
+  }
+  thermalFooter(t, shop);
+  return t.toString();
+}
+
+export function thermalPaymentReceipt(
+  shop,
+  receipt,
+  { width = 58, escpos = false } = {}
+) {
+  const t = thermal(THERMAL_COLS[width] || 32, escpos);
+  thermalHeader(t, shop);
+  t.center("KUITANSI PEMBAYARAN", true);
+  t.pair("No", receipt.receiptNo);
+  t.pair("Tgl", fmtDate(receipt.date));
+  if (receipt.customer) t.pair("Dari", receipt.customer.name);
+  t.pair("Metode", receipt.method);
+  if (receipt.refNo) t.pair("Ref", receipt.refNo);
+  t.rule();
+  for (const l of receipt.lines) {
+    t.pair(l.invoiceNo, rp(l.amount));
+    t.pair("  sisa tagihan", rp(l.dueAfter));
+  }
+  t.rule();
+  t.pair("Jumlah bayar", rp(receipt.amount));
+  if (receipt.note) t.line(receipt.note);
+  thermalFooter(t, shop);
+  return t.toString();
+}
+
+/* ================= PDF ================= */
+const PAGE = { A4: "A4", A5: "A5" };
+
+function pdfHeader(doc, shop, title, meta) {
+  const top = doc.y;
+  doc.font("Helvetica-Bold").fontSize(14).text(shop.name, { width: 260 });
+  doc.font("Helvetica").fontSize(8);
+  if (shop.address) doc.text(shop.address, { width: 260 });
+  if (shop.phone) doc.text(`Telp: ${shop.phone}`);
+  if (shop.taxId) doc.text(`NPWP: ${shop.taxId}`);
+  const leftBottom = doc.y;
+
+  const x = doc.page.width - doc.page.margins.right - 200;
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(14)
+    .text(title, x, top, { width: 200, align: "right" });
+  doc.font("Helvetica").fontSize(8);
+  for (const [k, v] of meta) {
+    if (v) doc.text(`${k}: ${v}`, x, doc.y, { width: 200, align: "right" });
+  }
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(leftBottom, doc.y) + 10;
+  hr(doc);
+}
+
+function hr(doc) {
+  const { left, right } = doc.page.margins;
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(doc.page.width - right, doc.y)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.5);
+}
+
+// cols: [{ label, width (fraksi), align }]
+function table(doc, cols, rows) {
+  const { left, right } = doc.page.margins;
+  const full = doc.page.width - left - right;
+  const draw = (cells, bold) => {
+    const y = doc.y;
+    let x = left;
+    let h = 0;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    cells.forEach((c, i) => {
+      const w = cols[i].width * full;
+      doc.text(String(c ?? ""), x + 2, y, {
+        width: w - 4,
+        align: cols[i].align || "left",
+      });
+      h = Math.max(h, doc.y - y);
+      x += w;
+    });
+    doc.x = left;
+    doc.y = y + h + 3;
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+  };
+  draw(
+    cols.map((c) => c.label),
+    true
+  );
+  hr(doc);
+  rows.forEach((r) => draw(r, false));
+  hr(doc);
+}
+
+function totals(doc, pairs) {
+  const { right } = doc.page.margins;
+  const x = doc.page.width - right - 220;
+  for (const [k, v, bold] of pairs) {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    doc.text(k, x, y, { width: 110 });
+    doc.text(v, x + 110, y, { width: 110, align: "right" });
+  }
+  doc.x = doc.page.margins.left;
+  doc.moveDown();
+}
+
+function pdfFooter(doc, shop) {
+  doc.moveDown();
+  doc
+    .font("Helvetica-Oblique")
+    .fontSize(8)
+    .text(shop.footer || "Terima kasih atas kepercayaan Anda.", {
+      align: "center",
+    });
+}
+
+export function pdfInvoice(shop, sale, { size = "A4" } = {}) {
+  const doc = new PDFDocument({ size: PAGE[size] || "A4", margin: 36 });
+  pdfHeader(doc, shop, sale.voidedAt ? "INVOICE (BATAL)" : "INVOICE", [
+    ["No", sale.invoiceNo],
+    ["Tanggal", fmtDate(sale.date)],
+    ["Status", sale.paymentStatus],
+  ]);
+
+  if (sale.customer) {
+    doc.font("Helvetica-Bold").fontSize(9).text("Kepada:");
+    doc.font("Helvetica").fontSize(9).text(sale.customer.name);
+    if (sale.customer.address) doc.text(sale.customer.address);
+    if (sale.customer.phone) doc.text(sale.customer.phone);
+    doc.moveDown(0.5);
+  }
+
+  table(
+    doc,
+    [
+      { label: "No", width: 0.06 },
+      { label: "Produk", width: 0.34 },
+      { label: "Qty", width: 0.1, align: "right" },
+      { label: "Harga", width: 0.16, align: "right" },
+      { label: "Diskon", width: 0.14, align: "right" },
+      { label: "Jumlah", width: 0.2, align: "right" },
+    ],
+    sale.items.map((it, i) => [
+      i + 1,
+      it.productName +
+        (it.returnedQty ? ` (retur ${it.returnedQty} ${it.baseUnit})` : ""),
+      `${it.qty} ${it.unit}`,
+      rp(it.unitPrice),
+      it.discountAmount ? `-${rp(it.discountAmount)}` : "-",
+      rp(it.lineTotal),
+    ])
+  );
+
+  const due = Math.max(0, sale.netTotal - sale.amountPaid);
+  totals(doc, [
+    ...summaryLines(sale),
+    ["Total", rp(sale.grandTotal), true],
+    ...(sale.returnedTotal
+      ? [
+          ["Retur", `-${rp(sale.returnedTotal)}`],
+          ["Total bersih", rp(sale.netTotal), true],
+        ]
+      : []),
+    ["Dibayar", rp(sale.amountPaid)],
+    ["Sisa tagihan", rp(due), true],
+  ]);
+
+  if (sale.payments.length) {
+    doc.font("Helvetica-Bold").fontSize(9).text("Pembayaran");
+    doc.moveDown(0.3);
+    table(
+      doc,
+      [
+        { label: "Tanggal", width: 0.3 },
+        { label: "Metode", width: 0.2 },
+        { label: "Ref", width: 0.25 },
+        { label: "Jumlah", width: 0.25, align: "right" },
+      ],
+      sale.payments.map((p) => [
+        fmtDate(p.date),
+        p.amount < 0 ? `Refund ${p.method}` : p.method,
+        p.refNo || "-",
+        rp(p.amount),
+      ])
+    );
+  }
+
+  if (sale.note)
+    doc.font("Helvetica").fontSize(8).text(`Catatan: ${sale.note}`);
+  pdfFooter(doc, shop);
+  doc.end();
+  return doc;
+}
+
+export function pdfPaymentReceipt(shop, receipt, { size = "A5" } = {}) {
+  const doc = new PDFDocument({ size: PAGE[size] || "A5", margin: 36 });
+  pdfHeader(doc, shop, "KUITANSI", [
+    ["No", receipt.receiptNo],
+    ["Tanggal", fmtDate(receipt.date)],
+    ["Metode", receipt.method],
+    ["Ref", receipt.refNo],
+  ]);
+
+  if (receipt.customer) {
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(`Diterima dari: ${receipt.customer.name}`);
+    doc.moveDown(0.5);
+  }
+
+  table(
+    doc,
+    [
+      { label: "Invoice", width: 0.4 },
+      { label: "Dibayar", width: 0.3, align: "right" },
+      { label: "Sisa tagihan", width: 0.3, align: "right" },
+    ],
+    receipt.lines.map((l) => [l.invoiceNo, rp(l.amount), rp(l.dueAfter)])
+  );
+  totals(doc, [["Jumlah bayar", rp(receipt.amount), true]]);
+  if (receipt.note) doc.font("Helvetica").fontSize(8).text(receipt.note);
+  pdfFooter(doc, shop);
+  doc.end();
+  return doc;
+}
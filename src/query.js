@@ -0,0 +1,84 @@
+// src/query.js
+// Parameter list standar, dipakai bersama src/index.js (Prisma) dan
+// src/worker.js (SQL):
+//   ?limit=50 (maks 200) & offset=0 | cursor=<id baris terakhir>
+//   (list lama tanpa parameter paging tetap mengirim semua baris)
+//   &sort=name | -createdAt (awalan "-" = menurun) & q=teks
+// Total & cursor berikutnya dikirim lewat header X-Total-Count /
+// X-Next-Cursor supaya body tetap array seperti sebelumnya.
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+export const PAGE_HEADERS = ["X-Total-Count", "X-Next-Cursor"];
+
+const str = (v) => (v == null || v === "" ? null : String(v).trim() || null);
+
+function int(query, key, { min = 0, max = Infinity } = {}) {
+  const v = str(query[key]);
+  if (v == null) return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max)
+    throw new Error(`${key} harus bilangan bulat ${min}..${max}`);
+  return n;
+}
+
+function date(query, key, endOfDay = false) {
+  const v = str(query[key]);
+  if (v == null) return null;
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(v)
+    ? new Date(`${v}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`)
+    : new Date(v);
+  if (Number.isNaN(d.getTime())) throw new Error(`${key} bukan tanggal valid`);
+  return d;
+}
+
+/**
+ * sortFields: nama kolom yang boleh dipakai `sort` (kolom NOT NULL, supaya
+ * cursor (kolom, id) konsisten). defaultSort mis. "-createdAt".
+ * defaultLimit: limit kalau ?limit kosong; null = tanpa limit selama tidak
+ * ada offset / cursor (kompatibel dengan client lama).
+ */
+export function parseListQuery(
+  query,
+  { sortFields, defaultSort, defaultLimit = DEFAULT_LIMIT }
+) {
+  const sort = str(query.sort) || defaultSort;
+  const sortDir = sort.startsWith("-") ? "desc" : "asc";
+  const sortField = sort.replace(/^[-+]/, "");
+  if (!sortFields.includes(sortField))
+    throw new Error(`sort harus salah satu dari: ${sortFields.join(", ")}`);
+  const cursor = str(query.cursor);
+  const offset = cursor ? 0 : int(query, "offset") ?? 0;
+  const paged = cursor || offset || defaultLimit != null;
+  return {
+    q: str(query.q),
+    limit:
+      int(query, "limit", { min: 1, max: MAX_LIMIT }) ??
+      (paged ? defaultLimit ?? DEFAULT_LIMIT : null),
+    offset,
+    cursor,
+    sortField,
+    sortDir,
+  };
+}
+
+export function parseProductFilters(query) {
+  const flag = (k) => ["1", "true"].includes(String(query[k] ?? ""));
+  return {
+    category: str(query.category),
+    lowStock: flag("lowStock"),
+    expiringBefore: date(query, "expiringBefore", true),
+    minPrice: int(query, "minPrice"),
+    maxPrice: int(query, "maxPrice"),
+  };
+}
+
+// Rentang tanggal ?from=YYYY-MM-DD&to=YYYY-MM-DD (to inklusif)
+export const parseDateRange = (query) => ({
+  from: date(query, "from"),
+  to: date(query, "to", true),
+});
+
+// Cursor berikutnya hanya kalau halaman penuh (tanpa limit: tidak ada)
+export const nextCursor = (rows, limit) =>
+  limit != null && rows.length === limit ? rows[rows.length - 1].id : null;
@@ -0,0 +1,161 @@
+// src/session.js
+// Sesi login: access token JWT berumur pendek + refresh token acak yang
+// disimpan (hash SHA-256) di tabel RefreshToken dan dirotasi tiap dipakai.
+// Dipakai bersama oleh src/index.js (pgSql) dan src/worker.js (neon):
+// `sql` cukup tagged template yang mengembalikan array baris.
+//
+// familyId = 1 sesi login; refresh token lama yang dipakai ulang (sudah
+// dirotasi) dianggap bocor -> seluruh sesi itu dicabut.
+// User.tokenVersion naik saat role/password berubah atau admin mencabut
+// semua sesi; access token dengan `ver` lama ditolak middleware auth.
+
+export const ACCESS_TOKEN_TTL = "15m";
+export const REFRESH_TOKEN_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export class SessionError extends Error {}
+
+const b64url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+async function hashToken(token) {
+  const buf = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  return Array.from(new Uint8Array(buf), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+// Payload access token (ver = tokenVersion saat diterbitkan)
+export const accessClaims = (user) => ({
+  sub: user.id,
+  role: user.role,
+  name: user.name,
+  username: user.username,
+  ver: user.tokenVersion ?? 0,
+});
+
+/** Terbitkan refresh token baru (sesi baru, atau lanjutan familyId) */
+export async function issueRefreshToken(
+  sql,
+  userId,
+  { familyId, ip = null, userAgent = null, days = REFRESH_TOKEN_DAYS } = {}
+) {
+  const token = b64url(crypto.getRandomValues(new Uint8Array(32)));
+  const hash = await hashToken(token);
+  const id = crypto.randomUUID();
+  const family = familyId ?? crypto.randomUUID();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + days * DAY);
+  const rows = await sql`
+    INSERT INTO "RefreshToken" (id, "userId", "familyId", "tokenHash",
+      "expiresAt", ip, "userAgent", "createdAt")
+    VALUES (${id}, ${userId}, ${family}, ${hash},
+      ${expiresAt}, ${ip}, ${userAgent}, ${now})
+    RETURNING id, "familyId"
+  `;
+  return { refreshToken: token, expiresAt, ...rows[0] };
+}
+
+/**
+ * Tukar refresh token -> user + refresh token baru (rotasi).
+ * Token lama langsung dicabut; klaim atomik lewat UPDATE ... RETURNING.
+ */
+export async function rotateRefreshToken(sql, token, meta = {}) {
+  if (!token) throw new SessionError("refreshToken wajib");
+  const hash = await hashToken(String(token));
+  const now = new Date();
+  const claimed = await sql`
+    UPDATE "RefreshToken" SET "revokedAt" = ${now}
+    WHERE "tokenHash" = ${hash} AND "revokedAt" IS NULL AND "expiresAt" > ${now}
+    RETURNING id, "userId", "familyId"
+  `;
+  if (!claimed.length) {
+    // dipakai ulang setelah dirotasi -> cabut seluruh sesi
+    const used = await sql`
+      SELECT "familyId" FROM "RefreshToken"
+      WHERE "tokenHash" = ${hash} AND "replacedById" IS NOT NULL
+    `;
+    if (used.length) await revokeFamily(sql, used[0].familyId);
+    throw new SessionError("Refresh token tidak valid atau kedaluwarsa");
+  }
+  const old = claimed[0];
+  const users = await sql`
+    SELECT id, username, name, role, "tokenVersion" FROM "User"
+    WHERE id = ${old.userId}
+  `;
+  if (!users.length) throw new SessionError("User tidak ditemukan");
+
+  const next = await issueRefreshToken(sql, old.userId, {
+    ...meta,
+    familyId: old.familyId,
+  });
+  await sql`
+    UPDATE "RefreshToken" SET "replacedById" = ${next.id}
+    WHERE id = ${old.id}
+    RETURNING id
+  `;
+  return { user: users[0], ...next };
+}
+
+async function revokeFamily(sql, familyId) {
+  await sql`
+    UPDATE "RefreshToken" SET "revokedAt" = ${new Date()}
+    WHERE "familyId" = ${familyId} AND "revokedAt" IS NULL
+    RETURNING id
+  `;
+}
+
+/** Logout: cabut sesi milik refresh token ini (token tak dikenal diabaikan) */
+export async function revokeRefreshToken(sql, token) {
+  if (!token) return;
+  const rows = await sql`
+    SELECT "familyId" FROM "RefreshToken"
+    WHERE "tokenHash" = ${await hashToken(String(token))}
+  `;
+  if (rows.length) await revokeFamily(sql, rows[0].familyId);
+}
+
+/**
+ * Cabut semua sesi user: refresh token dicabut & tokenVersion dinaikkan
+ * (access token yang masih berlaku ikut ditolak). Return jumlah sesi.
+ */
+export async function revokeUserSessions(sql, userId) {
+  const rows = await sql`
+    UPDATE "RefreshToken" SET "revokedAt" = ${new Date()}
+    WHERE "userId" = ${userId} AND "revokedAt" IS NULL
+    RETURNING "familyId"
+  `;
+  await sql`
+    UPDATE "User" SET "tokenVersion" = "tokenVersion" + 1
+    WHERE id = ${userId}
+    RETURNING id
+  `;
+  return new Set(rows.map((r) => r.familyId)).size;
+}
+
+/** Sesi aktif user (1 baris per familyId = token terbaru) */
+export async function listUserSessions(sql, userId) {
+  return sql`
+    SELECT "familyId" AS id, ip, "userAgent", "createdAt" AS "lastRefreshAt",
+           "expiresAt"
+    FROM "RefreshToken"
+    WHERE "userId" = ${userId} AND "revokedAt" IS NULL
+      AND "expiresAt" > ${new Date()}
+    ORDER BY "createdAt" DESC
+  `;
+}
+
+/** Cek klaim `ver` access token terhadap User.tokenVersion saat ini */
+export async function tokenVersionOk(sql, payload) {
+  const rows = await sql`
+    SELECT "tokenVersion" FROM "User" WHERE id = ${payload.sub}
+  `;
+  return rows.length > 0 && rows[0].tokenVersion === (payload.ver ?? 0);
+}
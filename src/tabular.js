@@ -0,0 +1,134 @@
+// src/tabular.js
+// Baca / tulis data tabel untuk import & export: CSV (RFC 4180, pemisah
+// "," atau ";" — Excel locale Indonesia menyimpan CSV pakai ";") dan XLSX.
+// Baris pertama = header; baris hasil baca berupa object { header: nilai }.
+import ExcelJS from "exceljs";
+
+export const CSV_TYPE = "text/csv";
+export const XLSX_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/* ================= CSV ================= */
+// Teks yang diawali = + - @ (atau tab/CR) dijalankan Excel sebagai formula:
+// diekspor dengan awalan ' dan awalan itu dibuang lagi saat import.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const unescapeCell = (v) =>
+  v.startsWith("'") && FORMULA_START.test(v.slice(1)) ? v.slice(1) : v;
+
+export function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const sep =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const records = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === sep) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      records.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (quoted) throw new Error("CSV tidak valid: tanda kutip tidak ditutup");
+  if (field !== "" || row.length) {
+    row.push(field);
+    records.push(row);
+  }
+  return toObjects(records.map((r) => r.map(unescapeCell)));
+}
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  if (typeof v === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** columns: [{ key, header }] -> teks CSV (dengan BOM supaya Excel baca UTF-8) */
+export function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(",")];
+  for (const r of rows)
+    lines.push(columns.map((c) => csvCell(r[c.key])).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/* ================= XLSX ================= */
+// Nilai sel ExcelJS -> string/number/Date sederhana
+function cellValue(v) {
+  if (v == null) return "";
+  if (v instanceof Date || typeof v !== "object") return v;
+  if ("result" in v) return cellValue(v.result); // formula
+  if ("richText" in v) return v.richText.map((t) => t.text).join("");
+  if ("text" in v) return v.text; // hyperlink
+  return String(v);
+}
+
+export async function parseXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+  const records = [];
+  ws.eachRow({ includeEmpty: true }, (row) => {
+    const cells = [];
+    for (let c = 1; c <= ws.columnCount; c++)
+      cells.push(cellValue(row.getCell(c).value));
+    records.push(cells);
+  });
+  return toObjects(records);
+}
+
+export async function toXlsx(columns, rows, sheetName = "Data") {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(sheetName.slice(0, 31));
+  ws.columns = columns.map((c) => ({
+    key: c.key,
+    header: c.header,
+    width: Math.max(10, c.header.length + 2),
+  }));
+  ws.getRow(1).font = { bold: true };
+  for (const r of rows) ws.addRow(r);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/* ================= UMUM ================= */
+// Header dinormalisasi (trim); baris kosong dibuang. `_row` = nomor baris
+// di file (header = baris 1) untuk pesan error.
+function toObjects(records) {
+  const [head = [], ...body] = records;
+  const keys = head.map((h) => String(h).trim());
+  const out = [];
+  body.forEach((cells, i) => {
+    if (cells.every((c) => c === "" || c == null)) return;
+    const obj = { _row: i + 2 };
+    keys.forEach((k, j) => {
+      if (k) obj[k] = cells[j] ?? "";
+    });
+    out.push(obj);
+  });
+  return out;
+}
+
+/** Baca body upload (Buffer) sesuai Content-Type / format */
+export async function readTable(buffer, format) {
+  if (format === "xlsx") return parseXlsx(buffer);
+  return parseCsv(buffer.toString("utf8"));
+}
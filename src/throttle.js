@@ -0,0 +1,232 @@
+// src/throttle.js
+// Proteksi brute-force login, dipakai src/index.js & src/worker.js.
+//  - per username & per IP: setelah `freeAttempts` gagal, percobaan
+//    berikutnya harus menunggu backoff eksponensial (1s, 2s, 4s, ... maks)
+//  - per username: setelah `lockAfter` gagal akun dikunci sementara;
+//    durasi kunci berlipat tiap kali terkunci lagi dalam 24 jam
+// Penyimpanan pluggable:
+//   { get(key), fail(key, now, ttlSec), lock(key, lockedUntil, now, ttlSec),
+//     delete(key) }
+// fail() = tambah 1 hitungan gagal & return catatan terbaru; lock() = kunci
+// kalau belum terkunci (return true kalau kunci ini yang dipasang). Di SQL
+// keduanya 1 statement atomik supaya tebakan paralel tetap terhitung semua.
+//   sqlThrottleStore(sql) -> tabel LoginThrottle (Node / Postgres)
+//   kvThrottleStore(kv)   -> Workers KV (binding LOGIN_THROTTLE)
+
+export const THROTTLE_POLICY = {
+  user: { freeAttempts: 3, lockAfter: 5 },
+  ip: { freeAttempts: 10, lockAfter: null },
+  baseDelaySec: 1,
+  maxDelaySec: 300,
+  lockMinutes: 15,
+  maxLockMinutes: 24 * 60,
+  memorySec: 24 * 60 * 60, // catatan gagal dilupakan setelah ini
+};
+
+// Override dari env: LOGIN_LOCK_AFTER, LOGIN_LOCK_MINUTES, LOGIN_FREE_ATTEMPTS
+export function throttlePolicy(env = {}) {
+  const num = (v, d) => (Number(v) > 0 ? Number(v) : d);
+  const p = THROTTLE_POLICY;
+  return {
+    ...p,
+    user: {
+      freeAttempts: num(env.LOGIN_FREE_ATTEMPTS, p.user.freeAttempts),
+      lockAfter: num(env.LOGIN_LOCK_AFTER, p.user.lockAfter),
+    },
+    lockMinutes: num(env.LOGIN_LOCK_MINUTES, p.lockMinutes),
+  };
+}
+
+const subjects = ({ username, ip }) =>
+  [
+    { kind: "user", key: `user:${String(username).trim().toLowerCase()}` },
+    ip ? { kind: "ip", key: `ip:${ip}` } : null,
+  ].filter(Boolean);
+
+const backoffSec = (failures, free, policy) =>
+  failures < free
+    ? 0
+    : Math.min(
+        policy.baseDelaySec * 2 ** (failures - free),
+        policy.maxDelaySec
+      );
+
+/**
+ * Boleh mencoba login sekarang? null = boleh, atau
+ * { status: 423 (akun terkunci) | 429 (terlalu cepat), retryAfter (detik) }
+ */
+export async function checkLogin(store, who, policy, now = Date.now()) {
+  for (const s of subjects(who)) {
+    const rec = await store.get(s.key);
+    if (!rec) continue;
+    if (rec.lockedUntil && rec.lockedUntil > now)
+      return {
+        status: 423,
+        reason: "LOCKED",
+        retryAfter: Math.ceil((rec.lockedUntil - now) / 1000),
+      };
+    const wait = backoffSec(rec.failures, policy[s.kind].freeAttempts, policy);
+    const readyAt = (rec.lastFailureAt || 0) + wait * 1000;
+    if (wait && readyAt > now)
+      return {
+        status: 429,
+        reason: "THROTTLED",
+        retryAfter: Math.ceil((readyAt - now) / 1000),
+      };
+  }
+  return null;
+}
+
+/** Catat login gagal; return { locked, lockedUntil } untuk username */
+export async function recordFailure(store, who, policy, now = Date.now()) {
+  let result = { locked: false, lockedUntil: null };
+  for (const s of subjects(who)) {
+    const rec = await store.fail(s.key, now, policy.memorySec);
+    const lockAfter = policy[s.kind].lockAfter;
+    if (!lockAfter || rec.failures < lockAfter) continue;
+    if (rec.lockedUntil && rec.lockedUntil > now) {
+      result = { locked: true, lockedUntil: new Date(rec.lockedUntil) };
+      continue;
+    }
+    const minutes = Math.min(
+      policy.lockMinutes * 2 ** rec.locks,
+      policy.maxLockMinutes
+    );
+    const until = now + minutes * 60 * 1000;
+    // percobaan paralel: hanya satu yang memasang kunci (locks + 1)
+    await store.lock(s.key, until, now, policy.memorySec);
+    result = { locked: true, lockedUntil: new Date(until) };
+  }
+  return result;
+}
+
+// Catatan setelah 1 gagal lagi; kunci yang sudah lewat atau catatan yang
+// kedaluwarsa -> hitungan gagal mulai lagi
+const nextFailure = (prev, now) => {
+  const expired = prev?.lockedUntil && prev.lockedUntil <= now;
+  return {
+    failures: (prev && !expired ? prev.failures : 0) + 1,
+    locks: prev?.locks || 0,
+    lastFailureAt: now,
+    lockedUntil: expired ? null : prev?.lockedUntil ?? null,
+  };
+};
+
+/** Login berhasil: hitungan username direset (IP tidak, supaya penyerang
+ * tidak bisa mereset dengan login ke akun miliknya sendiri) */
+export async function recordSuccess(store, { username }) {
+  await store.delete(subjects({ username })[0].key);
+}
+
+/** Buka kunci (admin): username dan/atau IP */
+export async function unlockLogin(store, { username, ip }) {
+  if (username) await store.delete(subjects({ username })[0].key);
+  if (ip) await store.delete(`ip:${ip}`);
+}
+
+/** Status kunci username (untuk admin) */
+export async function lockStatus(store, username, now = Date.now()) {
+  const rec = await store.get(subjects({ username })[0].key);
+  return {
+    failures: rec?.failures ?? 0,
+    locked: !!(rec?.lockedUntil && rec.lockedUntil > now),
+    lockedUntil: rec?.lockedUntil ? new Date(rec.lockedUntil) : null,
+  };
+}
+
+/* ================= STORE ================= */
+// Postgres via tagged template `sql` (pgSql di Node, neon di Worker)
+export function sqlThrottleStore(sql) {
+  const ms = (d) => (d ? new Date(d).getTime() : null);
+  return {
+    async get(key) {
+      const rows = await sql`
+        SELECT failures, locks, "lastFailureAt", "lockedUntil"
+        FROM "LoginThrottle"
+        WHERE key = ${key} AND "expiresAt" > ${new Date()}
+      `;
+      if (!rows.length) return null;
+      const r = rows[0];
+      return {
+        failures: r.failures,
+        locks: r.locks,
+        lastFailureAt: ms(r.lastFailureAt),
+        lockedUntil: ms(r.lockedUntil),
+      };
+    },
+    // increment atomik (logika sama dengan nextFailure)
+    async fail(key, now, ttlSec) {
+      const at = new Date(now);
+      const expiresAt = new Date(now + ttlSec * 1000);
+      const rows = await sql`
+        INSERT INTO "LoginThrottle" AS t
+          (key, failures, locks, "lastFailureAt", "lockedUntil", "expiresAt")
+        VALUES (${key}, 1, 0, ${at}, NULL, ${expiresAt})
+        ON CONFLICT (key) DO UPDATE SET
+          failures = CASE
+            WHEN t."expiresAt" <= ${at} OR t."lockedUntil" <= ${at} THEN 1
+            ELSE t.failures + 1 END,
+          locks = CASE WHEN t."expiresAt" <= ${at} THEN 0 ELSE t.locks END,
+          "lockedUntil" = CASE
+            WHEN t."expiresAt" <= ${at} OR t."lockedUntil" <= ${at} THEN NULL
+            ELSE t."lockedUntil" END,
+          "lastFailureAt" = EXCLUDED."lastFailureAt",
+          "expiresAt" = EXCLUDED."expiresAt"
+        RETURNING failures, locks, "lastFailureAt", "lockedUntil"
+      `;
+      const r = rows[0];
+      return {
+        failures: r.failures,
+        locks: r.locks,
+        lastFailureAt: ms(r.lastFailureAt),
+        lockedUntil: ms(r.lockedUntil),
+      };
+    },
+    async lock(key, lockedUntil, now) {
+      const rows = await sql`
+        UPDATE "LoginThrottle"
+        SET "lockedUntil" = ${new Date(lockedUntil)}, locks = locks + 1
+        WHERE key = ${key}
+          AND ("lockedUntil" IS NULL OR "lockedUntil" <= ${new Date(now)})
+        RETURNING key
+      `;
+      return rows.length > 0;
+    },
+    async delete(key) {
+      await sql`DELETE FROM "LoginThrottle" WHERE key = ${key} RETURNING key`;
+    },
+    // dipanggil cron harian
+    async purge() {
+      await sql`
+        DELETE FROM "LoginThrottle" WHERE "expiresAt" <= ${new Date()}
+        RETURNING key
+      `;
+    },
+  };
+}
+
+// Workers KV (eventual consistency: cukup untuk throttle, bukan untuk kunci
+// yang harus persis; pakai Durable Object kalau butuh konsistensi kuat)
+// KV tidak punya increment atomik: fail/lock tetap baca-lalu-tulis.
+export function kvThrottleStore(kv, prefix = "login:") {
+  const get = (key) => kv.get(prefix + key, "json");
+  const put = (key, rec, ttlSec) =>
+    kv.put(prefix + key, JSON.stringify(rec), {
+      expirationTtl: Math.max(60, ttlSec),
+    });
+  return {
+    get,
+    async fail(key, now, ttlSec) {
+      const rec = nextFailure(await get(key), now);
+      await put(key, rec, ttlSec);
+      return rec;
+    },
+    async lock(key, lockedUntil, now, ttlSec) {
+      const rec = await get(key);
+      if (!rec || (rec.lockedUntil && rec.lockedUntil > now)) return false;
+      await put(key, { ...rec, lockedUntil, locks: rec.locks + 1 }, ttlSec);
+      return true;
+    },
+    delete: (key) => kv.delete(prefix + key),
+  };
+}
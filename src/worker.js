@@ -4,6 +4,42 @@ import { cors } from "hono/cors";
 import { neon } from "@neondatabase/serverless";
 import bcrypt from "bcryptjs";
 import { SignJWT, jwtVerify } from "jose";
+import { runDailyDigest } from "./alerts.js";
+import {
+  ACCESS_TOKEN_TTL,
+  SessionError,
+  accessClaims,
+  issueRefreshToken,
+  listUserSessions,
+  revokeRefreshToken,
+  revokeUserSessions,
+  rotateRefreshToken,
+  tokenVersionOk,
+} from "./session.js";
+import {
+  checkLogin,
+  kvThrottleStore,
+  lockStatus,
+  recordFailure,
+  recordSuccess,
+  sqlThrottleStore,
+  throttlePolicy,
+  unlockLogin,
+} from "./throttle.js";
+import {
+  PAGE_HEADERS,
+  nextCursor,
+  parseDateRange,
+  parseListQuery,
+  parseProductFilters,
+} from "./query.js";
+import { insertAudit } from "./audit.js";
+import {
+  hasPermission,
+  loadAppRoles,
+  roleCache,
+  ungrantable,
+} from "./permissions.js";
 
 const app = new Hono();
 
@@ -14,6 +50,7 @@ app.use(
     // signature: (origin, c) => ...
     origin: (origin, c) => c?.env?.CORS_ORIGIN ?? "*",
     allowHeaders: ["Content-Type", "Authorization"],
+    exposeHeaders: PAGE_HEADERS, // total & cursor list (src/query.js)
     allowMethods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
     maxAge: 86400,
     credentials: false,
@@ -23,8 +60,8 @@ app.use(
 // helper koneksi SQL
 const sql = (env) => neon(env.DATABASE_URL);
 
-// helper jwt
-const sign = async (payload, secret, exp = "12h") =>
+// helper jwt (access token pendek, lihat src/session.js)
+const sign = async (payload, secret, exp = ACCESS_TOKEN_TTL) =>
   await new SignJWT(payload)
     .setProtectedHeader({ alg: "HS256" })
     .setExpirationTime(exp)
@@ -40,23 +77,60 @@ const auth = async (c, next) => {
   if (!token) return c.json({ error: "Unauthorized" }, 401);
   try {
     const { payload } = await verify(token, c.env.JWT_SECRET);
-    c.set("user", payload); // { sub, role, name, username }
-    await next();
+    // tokenVersion lama (role/password berubah, sesi dicabut) -> tolak
+    if (!(await tokenVersionOk(sql(c.env), payload)))
+      return c.json({ error: "Unauthorized" }, 401);
+    c.set("user", payload); // { sub, role, name, username, ver }
   } catch {
     return c.json({ error: "Unauthorized" }, 401);
   }
+  await next();
 };
 
-// role guard
-const allow =
-  (...roles) =>
+// Throttle login: KV (binding LOGIN_THROTTLE) kalau ada, selain itu Postgres
+const loginStore = (env) =>
+  env.LOGIN_THROTTLE
+    ? kvThrottleStore(env.LOGIN_THROTTLE)
+    : sqlThrottleStore(sql(env));
+
+const accessTtl = (env) => env.ACCESS_TOKEN_TTL || ACCESS_TOKEN_TTL;
+
+// CF-Connecting-IP diisi Cloudflare sendiri; X-Forwarded-For dari klien
+// tidak dipakai karena bisa dipalsukan
+const clientMeta = (c) => ({
+  ip: c.req.header("CF-Connecting-IP") || null,
+  userAgent: c.req.header("user-agent") || null,
+});
+
+// guard izin (src/permissions.js); AppRole di-cache per isolate
+const roles = roleCache();
+const permissionsFor = (env, role) =>
+  roles.permissionsOf(role, () => loadAppRoles(sql(env)));
+
+const need =
+  (...perms) =>
   async (c, next) => {
     const u = c.get("user");
-    if (!u || !roles.includes(u.role))
-      return c.json({ error: "Forbidden" }, 403);
+    if (!u) return c.json({ error: "Unauthorized" }, 401);
+    const granted = await permissionsFor(c.env, u.role);
+    const missing = perms.filter((p) => !hasPermission(granted, p));
+    if (missing.length) return c.json({ error: "Forbidden", missing }, 403);
     await next();
   };
 
+// Catat perubahan data ke AuditLog (src/audit.js)
+const audit = (c, entry) => {
+  const u = c.get("user");
+  const meta = clientMeta(c);
+  return insertAudit(sql(c.env), {
+    ...entry,
+    userId: u?.sub ?? null,
+    username: u?.username ?? null,
+    ip: meta.ip,
+    userAgent: meta.userAgent,
+  });
+};
+
 // healthcheck
 app.get("/api/v1/health", (c) => c.json({ ok: true }));
 
@@ -64,89 +138,274 @@ app.get("/api/v1/health", (c) => c.json({ ok: true }));
 app.post("/api/v1/auth/login", async (c) => {
   try {
     const { username = "", password = "" } = await c.req.json();
+    const uname = String(username).trim();
     const rows = await sql(c.env)`
-      SELECT id, username, name, password, role, "createdAt"
+      SELECT id, username, name, password, role, "tokenVersion", "createdAt"
       FROM "User"
-      WHERE username = ${username}
+      WHERE username = ${uname}
       LIMIT 1
     `;
-    if (!rows.length) return c.json({ error: "Invalid credentials" }, 401);
-
-    const user = rows[0];
-    const ok = await bcrypt.compare(String(password), user.password);
+    const user = rows[0] ?? null;
+    const meta = clientMeta(c);
+    const who = { username: uname, ip: meta.ip };
+    const store = loginStore(c.env);
+    const policy = throttlePolicy(c.env);
 
     // Login audit (best effort; jangan blokir walau error)
-    try {
-      const ip =
-        c.req.header("CF-Connecting-IP") ||
-        c.req.header("x-forwarded-for") ||
-        null;
-      const ua = c.req.header("user-agent") || null;
-      await sql(c.env)`
-        INSERT INTO "LoginAudit" ("userId", username, role, ip, "userAgent")
-        VALUES (${user.id}, ${user.username}, ${user.role}, ${ip}, ${ua})
-      `;
-    } catch (_) {}
-
-    if (!ok) return c.json({ error: "Invalid credentials" }, 401);
+    const audit = async (success, reason = null) => {
+      try {
+        await sql(c.env)`
+          INSERT INTO "LoginAudit"
+            (id, "userId", username, role, ip, "userAgent", success, reason)
+          VALUES (${crypto.randomUUID()}, ${user?.id ?? null}, ${uname},
+            ${user?.role ?? null}, ${meta.ip}, ${meta.userAgent}, ${success},
+            ${reason})
+        `;
+      } catch (_) {}
+    };
+
+    // Terkunci / terlalu cepat: tolak sebelum cek password
+    const blocked = await checkLogin(store, who, policy);
+    if (blocked) {
+      await audit(false, blocked.reason);
+      c.header("Retry-After", String(blocked.retryAfter));
+      return c.json(
+        {
+          error:
+            blocked.status === 423
+              ? "Akun terkunci sementara karena terlalu banyak login gagal"
+              : "Terlalu banyak percobaan login, coba lagi nanti",
+          retryAfter: blocked.retryAfter,
+        },
+        blocked.status
+      );
+    }
+
+    const ok = user
+      ? await bcrypt.compare(String(password), user.password)
+      : false;
+    if (!ok) {
+      await audit(false, "INVALID");
+      const lock = await recordFailure(store, who, policy);
+      if (lock.locked)
+        return c.json(
+          {
+            error: "Akun terkunci sementara karena terlalu banyak login gagal",
+            lockedUntil: lock.lockedUntil,
+          },
+          423
+        );
+      return c.json({ error: "Invalid credentials" }, 401);
+    }
+    await audit(true);
+    await recordSuccess(store, who);
 
     const token = await sign(
-      {
-        sub: user.id,
-        role: user.role,
-        name: user.name,
-        username: user.username,
-      },
+      accessClaims(user),
       c.env.JWT_SECRET,
-      "12h"
+      accessTtl(c.env)
     );
+    const session = await issueRefreshToken(sql(c.env), user.id, clientMeta(c));
+
+    const permissions = await permissionsFor(c.env, user.role);
+    // Ringkasan digest alert terakhir (admin)
+    let digest = null;
+    if (hasPermission(permissions, "alerts:run")) {
+      try {
+        const d = await sql(c.env)`
+          SELECT id, date, summary FROM "AlertDigest" ORDER BY date DESC LIMIT 1
+        `;
+        if (d.length)
+          digest = {
+            id: d[0].id,
+            date: d[0].date,
+            counts: d[0].summary?.counts,
+          };
+      } catch (_) {}
+    }
 
     return c.json({
       token,
+      expiresIn: accessTtl(c.env),
+      refreshToken: session.refreshToken,
+      refreshExpiresAt: session.expiresAt,
       role: user.role,
+      permissions,
       name: user.name,
       username: user.username,
+      digest,
     });
   } catch (e) {
     return c.json({ error: e.message || "Bad Request" }, 400);
   }
 });
 
-// ===== PRODUCTS: GET list (ADMIN & VIEWER)
-app.get("/api/v1/products", auth, async (c) => {
-  const q = (c.req.query("q") || "").toLowerCase();
-  const rows = await sql(c.env)`
-    SELECT id, name, category, unit, "costPrice", "sellPrice", "stockQty",
+// Tukar refresh token -> access token + refresh token baru (rotasi)
+app.post("/api/v1/auth/refresh", async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { user, refreshToken, expiresAt } = await rotateRefreshToken(
+      sql(c.env),
+      body.refreshToken,
+      clientMeta(c)
+    );
+    return c.json({
+      token: await sign(accessClaims(user), c.env.JWT_SECRET, accessTtl(c.env)),
+      expiresIn: accessTtl(c.env),
+      refreshToken,
+      refreshExpiresAt: expiresAt,
+      role: user.role,
+      permissions: await permissionsFor(c.env, user.role),
+      name: user.name,
+      username: user.username,
+    });
+  } catch (e) {
+    if (e instanceof SessionError) return c.json({ error: e.message }, 401);
+    return c.json({ error: e.message || "Bad Request" }, 400);
+  }
+});
+
+// Logout: cabut sesi refresh token ini
+app.post("/api/v1/auth/logout", async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    await revokeRefreshToken(sql(c.env), body.refreshToken);
+    return c.json({ ok: true });
+  } catch (e) {
+    return c.json({ error: e.message || "Bad Request" }, 400);
+  }
+});
+
+// ===== PRODUCTS: GET list (products:read)
+// Paging/sort/filter sama dengan src/index.js (lihat src/query.js).
+// Kolom sort dari whitelist, nilai filter lewat parameter $n.
+const PRODUCT_SORT = {
+  createdAt: '"createdAt"',
+  name: "name",
+  sellPrice: '"sellPrice"',
+  stockQty: '"stockQty"',
+};
+
+app.get("/api/v1/products", auth, need("products:read"), async (c) => {
+  const query = c.req.query();
+  let list, f;
+  try {
+    list = parseListQuery(query, {
+      sortFields: Object.keys(PRODUCT_SORT),
+      defaultSort: "-createdAt",
+      defaultLimit: null,
+    });
+    f = parseProductFilters(query);
+  } catch (e) {
+    return c.json({ error: e.message }, 400);
+  }
+
+  const params = [];
+  const $ = (v) => (params.push(v), `$${params.length}`);
+  const where = [`"isActive" = true`];
+  if (list.q) {
+    const like = $(`%${list.q}%`);
+    const code = $(list.q);
+    where.push(`(name ILIKE ${like} OR sku ILIKE ${like} OR EXISTS (
+      SELECT 1 FROM "ProductBarcode" b
+      WHERE b."productId" = "Product".id AND b.code = ${code}))`);
+  }
+  if (f.category) where.push(`category = ${$(f.category)}`);
+  if (f.lowStock) where.push(`"stockQty" <= "minStock"`);
+  if (f.expiringBefore)
+    where.push(`"expiryDate" <= ${$(f.expiringBefore.toISOString())}`);
+  if (f.minPrice != null) where.push(`"sellPrice" >= ${$(f.minPrice)}`);
+  if (f.maxPrice != null) where.push(`"sellPrice" <= ${$(f.maxPrice)}`);
+
+  const db = sql(c.env);
+  const filter = where.join(" AND ");
+  const countParams = [...params];
+
+  // cursor: baris setelah (kolom sort, id) milik produk cursor
+  const col = PRODUCT_SORT[list.sortField];
+  const dir = list.sortDir === "desc" ? "DESC" : "ASC";
+  const page = [filter];
+  if (list.cursor) {
+    const cmp = dir === "DESC" ? "<" : ">";
+    const id = $(list.cursor);
+    page.push(
+      `(${col}, id) ${cmp} (SELECT ${col}, id FROM "Product" WHERE id = ${id})`
+    );
+  }
+  // tanpa paging: LIMIT NULL = semua baris
+  const text = `
+    SELECT id, sku, name, category, unit, "costPrice", "sellPrice", "stockQty",
            "expiryDate", "imageUrl", "minStock", "isActive", "createdAt"
     FROM "Product"
-    WHERE "isActive" = true
-    ORDER BY "createdAt" DESC
+    WHERE ${page.join(" AND ")}
+    ORDER BY ${col} ${dir}, id ${dir}
+    LIMIT ${$(list.limit)} OFFSET ${$(list.offset)}
   `;
-  const list = q
-    ? rows.filter((p) => (p.name || "").toLowerCase().includes(q))
-    : rows;
-  return c.json(list);
+
+  const [[{ total }], rows] = await Promise.all([
+    db.query(
+      `SELECT COUNT(*)::int AS total FROM "Product" WHERE ${filter}`,
+      countParams
+    ),
+    db.query(text, params),
+  ]);
+  c.header("X-Total-Count", String(total));
+  const next = nextCursor(rows, list.limit);
+  if (next) c.header("X-Next-Cursor", next);
+  return c.json(rows);
 });
 
+// ===== ALERTS: digest harian terakhir (alerts:read)
+app.get(
+  "/api/v1/alerts/digests/latest",
+  auth,
+  need("alerts:read"),
+  async (c) => {
+    const rows = await sql(c.env)`
+    SELECT id, date, summary, "createdAt" FROM "AlertDigest"
+    ORDER BY date DESC LIMIT 1
+  `;
+    if (!rows.length) return c.json({ error: "Belum ada digest" }, 404);
+    return c.json(rows[0]);
+  }
+);
+
 // ===== USERS: contoh admin-only (opsional)
-app.get("/api/v1/users", auth, allow("ADMIN"), async (c) => {
+app.get("/api/v1/users", auth, need("users:manage"), async (c) => {
   const rows = await sql(c.env)`
     SELECT id, username, name, role, "createdAt" FROM "User" ORDER BY "createdAt" DESC
   `;
   return c.json(rows);
 });
 
-app.post("/api/v1/users", auth, allow("ADMIN"), async (c) => {
+app.post("/api/v1/users", auth, need("users:manage"), async (c) => {
   try {
     const { username, name, password, role = "VIEWER" } = await c.req.json();
     if (!username || !password || !name)
       return c.json({ error: "Incomplete data" }, 400);
+    if (!(await roles.isRole(role, () => loadAppRoles(sql(c.env)))))
+      return c.json({ error: "Invalid role" }, 400);
+    // role baru tidak boleh melebihi hak akses pemanggil
+    const caller = c.get("user").role;
+    const missing = ungrantable(
+      caller,
+      await permissionsFor(c.env, caller),
+      await permissionsFor(c.env, role)
+    );
+    if (missing.length)
+      return c.json({ error: "Role melebihi hak akses Anda", missing }, 403);
     const hash = await bcrypt.hash(String(password), 10);
     const rows = await sql(c.env)`
       INSERT INTO "User" (username, name, password, role)
       VALUES (${username}, ${name}, ${hash}, ${role})
       RETURNING id, username, name, role, "createdAt"
     `;
+    await audit(c, {
+      action: "CREATE",
+      entity: "User",
+      entityId: rows[0].id,
+      after: rows[0],
+    });
     return c.json(rows[0]);
   } catch (e) {
     if (String(e.message || "").includes("duplicate")) {
@@ -156,10 +415,60 @@ app.post("/api/v1/users", auth, allow("ADMIN"), async (c) => {
   }
 });
 
+// Sesi aktif user & cabut semua sesi (admin)
+app.get("/api/v1/users/:id/sessions", auth, need("users:manage"), async (c) =>
+  c.json(await listUserSessions(sql(c.env), c.req.param("id")))
+);
+
+app.delete(
+  "/api/v1/users/:id/sessions",
+  auth,
+  need("users:manage"),
+  async (c) => {
+    const id = c.req.param("id");
+    const rows = await sql(c.env)`SELECT id FROM "User" WHERE id = ${id}`;
+    if (!rows.length) return c.json({ error: "User not found" }, 404);
+    const revoked = await revokeUserSessions(sql(c.env), id);
+    await audit(c, {
+      action: "REVOKE_SESSIONS",
+      entity: "User",
+      entityId: id,
+      note: `${revoked} sesi`,
+    });
+    return c.json({ ok: true, revoked });
+  }
+);
+
+// Status & buka kunci login user (admin); body.ip opsional ikut dibuka
+const userById = async (env, id) =>
+  (await sql(env)`SELECT id, username FROM "User" WHERE id = ${id}`)[0];
+
+app.get("/api/v1/users/:id/lock", auth, need("users:manage"), async (c) => {
+  const user = await userById(c.env, c.req.param("id"));
+  if (!user) return c.json({ error: "User not found" }, 404);
+  return c.json(await lockStatus(loginStore(c.env), user.username));
+});
+
+app.post("/api/v1/users/:id/unlock", auth, need("users:manage"), async (c) => {
+  const user = await userById(c.env, c.req.param("id"));
+  if (!user) return c.json({ error: "User not found" }, 404);
+  const body = await c.req.json().catch(() => ({}));
+  const store = loginStore(c.env);
+  const ip = body.ip ? String(body.ip) : null;
+  await unlockLogin(store, { username: user.username, ip });
+  await audit(c, {
+    action: "UNLOCK",
+    entity: "User",
+    entityId: user.id,
+    note: ip ? `ip ${ip}` : null,
+  });
+  return c.json({ ok: true, ...(await lockStatus(store, user.username)) });
+});
+
 // ===== AUDIT: admin-only (opsional)
-app.get("/api/v1/audits/login", auth, allow("ADMIN"), async (c) => {
+app.get("/api/v1/audits/login", auth, need("users:manage"), async (c) => {
   const rows = await sql(c.env)`
-    SELECT id, "userId", username, role, ip, "userAgent", at
+    SELECT id, "userId", username, role, ip, "userAgent", success, reason, at
     FROM "LoginAudit"
     ORDER BY at DESC
     LIMIT 200
@@ -167,6 +476,67 @@ app.get("/api/v1/audits/login", auth, allow("ADMIN"), async (c) => {
   return c.json(rows);
 });
 
+// Jejak perubahan data: filter & paging sama dengan src/index.js
+app.get("/api/v1/audits/changes", auth, need("audit:read"), async (c) => {
+  const query = c.req.query();
+  let list, range;
+  try {
+    list = parseListQuery(query, { sortFields: ["at"], defaultSort: "-at" });
+    range = parseDateRange(query);
+  } catch (e) {
+    return c.json({ error: e.message }, 400);
+  }
+
+  const params = [];
+  const $ = (v) => (params.push(v), `$${params.length}`);
+  const where = ["true"];
+  for (const key of ["entity", "entityId", "userId", "action"])
+    if (query[key]) where.push(`"${key}" = ${$(query[key])}`);
+  if (list.q) {
+    const like = $(`%${list.q}%`);
+    where.push(`("entityId" = ${$(list.q)} OR username ILIKE ${like}
+      OR note ILIKE ${like})`);
+  }
+  if (range.from) where.push(`at >= ${$(range.from.toISOString())}`);
+  if (range.to) where.push(`at <= ${$(range.to.toISOString())}`);
+
+  const db = sql(c.env);
+  const filter = where.join(" AND ");
+  const countParams = [...params];
+  const dir = list.sortDir === "desc" ? "DESC" : "ASC";
+  const page = [filter];
+  if (list.cursor) {
+    const cmp = dir === "DESC" ? "<" : ">";
+    page.push(`(at, id) ${cmp} (SELECT at, id FROM "AuditLog"
+      WHERE id = ${$(list.cursor)})`);
+  }
+  const text = `
+    SELECT * FROM "AuditLog"
+    WHERE ${page.join(" AND ")}
+    ORDER BY at ${dir}, id ${dir}
+    LIMIT ${$(list.limit)} OFFSET ${$(list.offset)}
+  `;
+
+  const [[{ total }], rows] = await Promise.all([
+    db.query(
+      `SELECT COUNT(*)::int AS total FROM "AuditLog" WHERE ${filter}`,
+      countParams
+    ),
+    db.query(text, params),
+  ]);
+  c.header("X-Total-Count", String(total));
+  const next = nextCursor(rows, list.limit);
+  if (next) c.header("X-Next-Cursor", next);
+  return c.json(rows);
+});
+
 export default {
   fetch: (req, env, ctx) => app.fetch(req, env, ctx),
+  // Cron Trigger (lihat [triggers] di wrangler.toml): digest alert harian
+  scheduled: (_event, env, ctx) =>
+    ctx.waitUntil(
+      runDailyDigest(sql(env), {
+        days: Number(env.ALERT_EXPIRY_DAYS || 30),
+      })
+    ),
 };